@@ -2,26 +2,60 @@
  * lan-play-bridge-launcher — Local companion for the lan-play-bridge web app
  *
  * What this does:
- *   1. Downloads the lan-play binary if not present
+ *   1. Downloads the lan-play binary if not present (or if its SHA-256
+ *      doesn't match the pinned hash for this version)
  *   2. Starts lan-play as a background subprocess (connects to your relay)
  *   3. Runs a local WebSocket server on port 25190
- *   4. The web app connects to ws://localhost:25190 for status + heartbeats
+ *   4. The web app connects to ws://localhost:25190 for status + heartbeats,
+ *      and — once paired with the code shown here — for control commands
  *   5. Auto-shuts down when:
  *      - No heartbeat from the browser for 30 seconds (tab closed)
  *      - No activity at all for 10 minutes (user forgot)
  *
  * Configuration:
- *   Relay server is required. Specify it one of two ways:
+ *   At least one relay server is required. Specify them one of two ways:
  *     - CLI arg:      node launcher.js --relay yourserver.example.com:11451
+ *                     (repeat --relay for several; the fastest one is used)
  *     - Baked config: create a config.js in this directory (see README)
+ *   Web app origins allowed to connect default to the public site; override
+ *   with --allow-origin (repeatable) or allowedOrigins in config.js.
+ *
+ *   lan-play options (CLI flag / config.js key):
+ *     --netif NAME      / netif          capture interface (see --list-if)
+ *     --pmtu N          / pmtu           path MTU lan-play assumes
+ *     --fake-internet   / fakeInternet   make the Switch think it's online
+ *     --broadcast       / broadcast      broadcast instead of relaying
+ *     --binary-sha256 H / binarySha256   SHA-256 lan-play must match, for a
+ *                                        version or build not pinned here
+ *   The chosen interface is remembered between runs. --list-if prints the
+ *   interfaces lan-play can capture on and exits.
+ *
+ *   Headless mode (no browser, e.g. a mini-PC next to the Switch):
+ *     node launcher.js --relay ... --room CODE [--room-password PW] [--server URL]
+ *   The launcher joins the room itself, prints the Switch settings and stays
+ *   up for as long as it's in the room. The server defaults to serverUrl in
+ *   config.js, then the public site. It asks on the terminal to confirm the
+ *   Switch is set up; --switch-ready (or switchReady in config.js) skips the
+ *   question and reports it as set up straight away.
+ *
+ *   --doctor runs connectivity checks (relays, binary, Npcap, capture
+ *   permissions, port 25190) and prints a report; add --json for a JSON
+ *   report to attach to support requests. The web app can run the same
+ *   checks through the doctor command.
  */
 
-const { spawn } = require('child_process');
+const { spawn, execFile } = require('child_process');
+const dgram = require('dgram');
+const dns = require('dns');
 const fs = require('fs');
+const net = require('net');
+const readline = require('readline');
 const path = require('path');
 const https = require('https');
 const http = require('http');
+const crypto = require('crypto');
 const { WebSocketServer } = require('ws');
+const { io: ioClient } = require('socket.io-client');
 
 // ===========================================================================
 // Configuration
@@ -43,19 +77,64 @@ function parseArg(flag) {
   return (idx !== -1 && process.argv[idx + 1]) ? process.argv[idx + 1] : null;
 }
 
-var relay = bakedConfig.relay || parseArg('--relay');
-if (!relay) {
+function hasFlag(flag) {
+  return process.argv.indexOf(flag) !== -1;
+}
+
+// Every value of a repeatable flag, in order
+function parseArgs(flag) {
+  var values = [];
+  for (var i = 0; i < process.argv.length - 1; i++) {
+    if (process.argv[i] === flag) values.push(process.argv[i + 1]);
+  }
+  return values;
+}
+
+// Browsers always send Origin on WebSocket connections, so this keeps other
+// web pages from talking to the launcher
+var DEFAULT_ORIGINS = ['https://frlg.online', 'https://www.frlg.online'];
+var allowedOrigins = bakedConfig.allowedOrigins
+  || (parseArgs('--allow-origin').length ? parseArgs('--allow-origin') : DEFAULT_ORIGINS);
+
+var DEFAULT_SERVER_URL = 'https://frlg.online';
+
+var relays = bakedConfig.relays || (bakedConfig.relay ? [bakedConfig.relay] : parseArgs('--relay'));
+// Listing interfaces only runs lan-play --list-if, which needs no relay
+if (!relays.length && !hasFlag('--list-if')) {
   console.error('Error: relay server not specified.');
-  console.error('Usage: node launcher.js --relay yourserver.example.com:11451');
+  console.error('Usage: node launcher.js --relay yourserver.example.com:11451 [--relay other.example.com:11451 ...]');
   process.exit(1);
 }
 
 const CONFIG = {
-  relay: relay,
+  relays: relays,
+  relay: relays[0],                    // the one lan-play uses; picked by selectRelay()
+  relayProbeTimeoutMs: 2000,
+  relayProbeCount: 3,                  // pings per relay; the fastest reply counts
   wsPort: 25190,
   heartbeatTimeoutMs: 30 * 1000,      // 30s without heartbeat → shutdown
   inactivityTimeoutMs: 10 * 60 * 1000, // 10min without any activity → shutdown
   checkIntervalMs: 5 * 1000,           // check every 5s
+  relayStaleMs: 30 * 1000,             // no server ping for 30s → relay considered down
+  allowedOrigins: allowedOrigins,
+  serverUrl: parseArg('--server') || bakedConfig.serverUrl || DEFAULT_SERVER_URL,
+  room: parseArg('--room'),            // headless mode when set
+  roomPassword: parseArg('--room-password'),
+  switchReady: hasFlag('--switch-ready') || !!bakedConfig.switchReady,
+  interface: null,                     // lan-play --netif; null lets lan-play pick (see resolveInterface)
+  lanPlayOptions: {
+    pmtu: parseInt(parseArg('--pmtu'), 10) || bakedConfig.pmtu || null,
+    fakeInternet: hasFlag('--fake-internet') || !!bakedConfig.fakeInternet,
+    broadcast: hasFlag('--broadcast') || !!bakedConfig.broadcast,
+  },
+  listInterfacesTimeoutMs: 10 * 1000,
+  restartBaseDelayMs: 1000,            // first crash restart; doubles each time
+  restartMaxDelayMs: 60 * 1000,
+  fastFailureMs: 30 * 1000,            // a run shorter than this counts towards the crash loop
+  crashLoopLimit: 5,                   // fast failures in a row before giving up
+  stderrTail: 20,                      // stderr lines kept to explain a crash
+  logHistory: 500,                     // lines kept for the logs command
+  maxPairingFailures: 5,               // wrong codes before a new one is generated
   lanPlayVersion: '0.2.3',
 };
 
@@ -72,11 +151,56 @@ const BINARY_URL = 'https://github.com/spacemeowx2/switch-lan-play/releases/down
 const BASE_DIR = path.dirname(process.execPath && process.pkg ? process.execPath : __filename);
 const BINARY_PATH = path.join(BASE_DIR, BINARY_NAME);
 
+// Pinned SHA-256 of each release asset, by lan-play version. Update together
+// with lanPlayVersion: sha256sum each file from the GitHub release page.
+// --binary-sha256 or binarySha256 in config.js overrides the hash for this
+// platform (e.g. for a self-built lan-play). Without either, the launcher
+// refuses to run lan-play rather than trust whatever it downloaded.
+const PINNED_SHA256 = {
+  '0.2.3': {
+    // TODO: pin 'lan-play-win64.exe', 'lan-play-macos' and 'lan-play-linux'
+    // from https://github.com/spacemeowx2/switch-lan-play/releases/tag/v0.2.3
+  },
+};
+
+const EXPECTED_SHA256 = (parseArg('--binary-sha256') || bakedConfig.binarySha256
+  || (PINNED_SHA256[CONFIG.lanPlayVersion] || {})[BINARY_NAME]
+  || '').toLowerCase() || null;
+
+// Downloads that fail verification are retried this many times in total
+const DOWNLOAD_ATTEMPTS = 2;
+
+// Settings that survive restarts (paired browser tokens)
+const STATE_PATH = path.join(BASE_DIR, 'launcher-state.json');
+
 // ===========================================================================
 // State
 // ===========================================================================
 var lanPlayProc = null;
 var lanPlayRunning = false;
+var restartPending = false;
+var restartTimer = null;
+var stoppedByUser = false;
+
+// Crash-loop tracking. crashInfo is set once we give up restarting and stays
+// until something restarts lan-play on purpose (see restartLanPlay).
+var lanPlayStartedAt = 0;
+var fastFailures = 0;
+var crashInfo = null;
+var stderrTail = [];
+
+// 10.13.x.x addresses seen in lan-play's output, ip -> last seen (ms).
+// Kept across restarts; the doctor uses it to tell whether a Switch is
+// actually sending anything.
+var seenLanIPs = {};
+var wsListening = false;
+
+// Latest relay probe results, and whether the user picked the relay by hand
+var relayProbes = [];
+var relayChoice = 'auto';
+
+// Tunnel health, parsed from lan-play's output (see parseLanPlayLine)
+var tunnel = newTunnelState();
 
 var lastHeartbeat = 0;
 var hasReceivedHeartbeat = false;
@@ -85,45 +209,130 @@ var shuttingDown = false;
 
 var connectedClients = new Set();
 
+// Persistent state, see loadState()
+var state = loadState();
+
+// Shown in the terminal; the web app sends it back once to get a token
+var pairingCode = newPairingCode();
+var pairingFailures = 0;
+
+// Recent log lines, for the logs command
+var recentLogs = [];
+
 // ===========================================================================
 // Logging
 // ===========================================================================
 function log(msg) {
   var ts = new Date().toLocaleTimeString();
-  console.log('[' + ts + '] ' + msg);
+  var line = '[' + ts + '] ' + msg;
+  console.log(line);
+  recentLogs.push(line);
+  if (recentLogs.length > CONFIG.logHistory) recentLogs.shift();
 }
 
 // ===========================================================================
 // Binary download
 // ===========================================================================
-function ensureBinary() {
-  return new Promise(function (resolve, reject) {
-    if (fs.existsSync(BINARY_PATH)) {
+// Downloads go to a temp file next to the binary and are only renamed into
+// place once their hash checks out, so an interrupted or tampered download
+// never ends up at BINARY_PATH. An existing binary is re-checked every start.
+async function ensureBinary() {
+  if (!EXPECTED_SHA256) {
+    throw new Error('No pinned SHA-256 for ' + BINARY_NAME + ' v' + CONFIG.lanPlayVersion
+      + ', so lan-play cannot be verified.');
+  }
+  if (fs.existsSync(BINARY_PATH)) {
+    var problem = await verifyBinary(BINARY_PATH);
+    if (!problem) {
       log('lan-play binary found: ' + BINARY_PATH);
-      return resolve();
+      return;
     }
+    log('WARNING: existing lan-play binary failed verification: ' + problem);
+    log('Removing it and downloading a fresh copy.');
+    fs.unlinkSync(BINARY_PATH);
+  }
 
+  for (var attempt = 1; ; attempt++) {
+    try {
+      await downloadBinary();
+      return;
+    } catch (err) {
+      if (attempt >= DOWNLOAD_ATTEMPTS) throw err;
+      log(err.message + ' Retrying...');
+    }
+  }
+}
+
+function downloadBinary() {
+  return new Promise(function (resolve, reject) {
     log('Downloading lan-play from ' + BINARY_URL + ' ...');
 
-    var file = fs.createWriteStream(BINARY_PATH);
+    var tmpPath = BINARY_PATH + '.download-' + process.pid;
+    var file = fs.createWriteStream(tmpPath);
+
+    function fail(err) {
+      file.destroy();
+      fs.unlink(tmpPath, function () {});
+      reject(err);
+    }
+
+    file.on('error', function (err) {
+      fail(new Error('Failed to write lan-play: ' + err.message));
+    });
+
     followRedirects(BINARY_URL, function (response) {
+      response.on('error', function (err) {
+        fail(new Error('Failed to download lan-play: ' + err.message));
+      });
       response.pipe(file);
       file.on('finish', function () {
-        file.close();
-        // Make executable on unix
-        if (PLATFORM !== 'win32') {
-          fs.chmodSync(BINARY_PATH, 0o755);
-        }
-        log('Download complete.');
-        resolve();
+        file.close(function () {
+          verifyBinary(tmpPath).then(function (problem) {
+            if (problem) {
+              return fail(new Error('Downloaded lan-play failed verification: ' + problem + '.'));
+            }
+            // Make executable on unix
+            if (PLATFORM !== 'win32') {
+              fs.chmodSync(tmpPath, 0o755);
+            }
+            fs.renameSync(tmpPath, BINARY_PATH);
+            log('Download complete and verified.');
+            resolve();
+          }, fail);
+        });
       });
     }, function (err) {
-      fs.unlink(BINARY_PATH, function () {});
-      reject(new Error('Failed to download lan-play: ' + err.message));
+      fail(new Error('Failed to download lan-play: ' + err.message));
     });
   });
 }
 
+// Resolves to null if the file matches the pinned hash, otherwise to a
+// description of the problem. No pinned hash counts as a problem.
+function verifyBinary(filePath) {
+  return sha256File(filePath).then(function (actual) {
+    if (!EXPECTED_SHA256) {
+      return 'no pinned SHA-256 for ' + BINARY_NAME + ' v' + CONFIG.lanPlayVersion + ' (file has ' + actual + ')';
+    }
+    if (actual !== EXPECTED_SHA256) {
+      return 'SHA-256 mismatch (expected ' + EXPECTED_SHA256 + ', got ' + actual + ')';
+    }
+    return null;
+  }, function (err) {
+    return 'could not read file (' + err.message + ')';
+  });
+}
+
+function sha256File(filePath) {
+  return new Promise(function (resolve, reject) {
+    var hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', function (chunk) { hash.update(chunk); })
+      .on('end', function () { resolve(hash.digest('hex')); });
+  });
+}
+
 // Follow GitHub's 302 redirects
 function followRedirects(url, onResponse, onError, depth) {
   depth = depth || 0;
@@ -147,43 +356,481 @@ function followRedirects(url, onResponse, onError, depth) {
 function startLanPlay() {
   log('Starting lan-play → ' + CONFIG.relay);
 
-  var args = ['--relay-server-addr', CONFIG.relay];
-  lanPlayProc = spawn(BINARY_PATH, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+  var args = lanPlayArgs();
+  var proc = spawn(BINARY_PATH, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+  // A failed spawn emits both 'error' and 'close'; only the first one counts
+  var exited = false;
+  stoppedByUser = false;
+  lanPlayProc = proc;
   lanPlayRunning = true;
+  lanPlayStartedAt = Date.now();
   lastActivity = Date.now();
+  stderrTail = [];
+  tunnel = newTunnelState();
 
-  lanPlayProc.stdout.on('data', function (data) {
-    var line = data.toString().trim();
-    if (line) log('[lan-play] ' + line);
-    lastActivity = Date.now();
-    broadcastStatus();
+  // Read line by line: a single data chunk can hold several lines, or half of one
+  readline.createInterface({ input: proc.stdout }).on('line', onLanPlayLine);
+  readline.createInterface({ input: proc.stderr }).on('line', function (line) {
+    stderrTail.push(line);
+    if (stderrTail.length > CONFIG.stderrTail) stderrTail.shift();
+    onLanPlayLine(line);
   });
 
-  lanPlayProc.stderr.on('data', function (data) {
-    var line = data.toString().trim();
-    if (line) log('[lan-play] ' + line);
-    lastActivity = Date.now();
+  proc.on('close', function (code, signal) {
+    if (exited) return;
+    exited = true;
+    log('lan-play exited with ' + (signal ? 'signal ' + signal : 'code ' + code));
+    onLanPlayExit(code, null);
+  });
+
+  // ENOENT / EACCES: the binary can't run at all, so retrying won't help
+  proc.on('error', function (err) {
+    if (exited) return;
+    exited = true;
+    log('Failed to start lan-play: ' + err.message);
+    onLanPlayExit(null, err);
   });
 
-  lanPlayProc.on('close', function (code) {
-    log('lan-play exited with code ' + code);
-    lanPlayRunning = false;
+  broadcastStatus();
+}
+
+function onLanPlayExit(code, spawnError) {
+  lanPlayRunning = false;
+  tunnel.relay = 'disconnected';
+  tunnel.pingMs = null;
+
+  if (shuttingDown) return broadcastStatus();
+  if (restartPending) {
+    restartPending = false;
+    startLanPlay();
+    return;
+  }
+  if (stoppedByUser) return broadcastStatus();
+
+  // A crash after a good run starts the count over; only quick ones count
+  if (Date.now() - lanPlayStartedAt < CONFIG.fastFailureMs) {
+    fastFailures++;
+  } else {
+    fastFailures = 0;
+  }
+
+  if (spawnError || fastFailures >= CONFIG.crashLoopLimit) {
+    crashInfo = {
+      exitCode: code,
+      error: spawnError ? spawnError.code || spawnError.message : null,
+      failures: fastFailures,
+      hint: crashHint(code, spawnError, stderrTail),
+      lastLines: stderrTail.slice(-5),
+    };
+    log(spawnError ? 'lan-play cannot be started, not retrying.' : 'lan-play keeps failing, not restarting it again.');
+    log('Likely cause: ' + crashInfo.hint);
     broadcastStatus();
+    return;
+  }
+
+  var delay = Math.min(CONFIG.restartBaseDelayMs * Math.pow(2, Math.max(fastFailures - 1, 0)), CONFIG.restartMaxDelayMs);
+  log('lan-play crashed. Restarting in ' + (delay / 1000) + 's...');
+  restartTimer = setTimeout(function () {
+    restartTimer = null;
+    startLanPlay();
+  }, delay);
+  broadcastStatus();
+}
+
+// Best guess at why lan-play died, from how it exited and what it last said
+var CRASH_HINTS = [
+  { re: /npcap|wpcap|packet\.dll/i,
+    hint: 'Npcap is missing or broken. Install it from https://npcap.com/#download with "WinPcap API-compatible Mode" checked.' },
+  { re: /libpcap|error while loading shared libraries/i,
+    hint: 'libpcap is not installed. Install it with your package manager (e.g. libpcap0.8 or libpcap).' },
+  { re: /permission|not permitted|access is denied|you don't have/i,
+    hint: PLATFORM === 'win32'
+      ? 'lan-play was denied access to the network adapter. Try running the launcher as administrator.'
+      : 'lan-play needs permission to capture packets. Run the launcher with sudo.' },
+  { re: /no such device|netif|interface|pcap_open|adapter/i,
+    hint: 'lan-play could not open the network interface. Run the launcher with --list-if and pick one with --netif, or choose one in the web app.' },
+  { re: /address already in use|bind/i,
+    hint: 'Another program (probably another lan-play) is already using the port. Close it and restart.' },
+];
+
+// Checked after CRASH_HINTS. Not in the table because the relay can change
+// while the launcher runs (relay probe, set-relay, a room's relay).
+var RELAY_CRASH_RE = /resolve|getaddrinfo|relay/i;
+
+// 0xC0000135: Windows couldn't load a DLL lan-play links against (wpcap.dll)
+var WIN_DLL_NOT_FOUND = 3221225781;
+
+function crashHint(code, spawnError, lines) {
+  if (spawnError) {
+    if (spawnError.code === 'ENOENT') return 'The lan-play binary is missing at ' + BINARY_PATH + '. Restart the launcher to download it again.';
+    if (spawnError.code === 'EACCES') return 'The lan-play binary at ' + BINARY_PATH + ' is not executable. Delete it and restart the launcher.';
+    return 'lan-play could not be started (' + spawnError.message + ').';
+  }
+  if (code === WIN_DLL_NOT_FOUND) return CRASH_HINTS[0].hint;
+  if (code === 127) return CRASH_HINTS[1].hint;
+  var text = lines.join('\n');
+  for (var i = 0; i < CRASH_HINTS.length; i++) {
+    if (CRASH_HINTS[i].re.test(text)) return CRASH_HINTS[i].hint;
+  }
+  if (RELAY_CRASH_RE.test(text)) {
+    return 'lan-play could not reach the relay ' + CONFIG.relay + '. Check the relay address and your connection.';
+  }
+  return 'lan-play exited with code ' + code + '. Check the log above for its last messages.';
+}
+
+// Stops the current lan-play (if any) and starts a fresh one, e.g. after the
+// relay changed. Also clears a crash loop, since the user (or a new relay or
+// interface) is giving it another go. The close handler sees restartPending and starts the new
+// process straight away instead of treating the exit as a crash.
+function restartLanPlay() {
+  clearTimeout(restartTimer);
+  restartTimer = null;
+  fastFailures = 0;
+  crashInfo = null;
+  if (lanPlayProc && lanPlayRunning) {
+    restartPending = true;
+    lanPlayProc.kill();
+  } else {
+    startLanPlay();
+  }
+}
+
+function lanPlayArgs() {
+  var args = ['--relay-server-addr', CONFIG.relay];
+  var opts = CONFIG.lanPlayOptions;
+  if (CONFIG.interface) args.push('--netif', CONFIG.interface);
+  if (opts.pmtu) args.push('--pmtu', String(opts.pmtu));
+  if (opts.fakeInternet) args.push('--fake-internet');
+  if (opts.broadcast) args.push('--broadcast');
+  return args;
+}
+
+// Stops lan-play until something restarts it (restart command, relay or
+// interface change)
+function stopLanPlay() {
+  stoppedByUser = true;
+  restartPending = false;
+  clearTimeout(restartTimer);
+  restartTimer = null;
+  if (lanPlayProc && lanPlayRunning) {
+    log('Stopping lan-play.');
+    lanPlayProc.kill();
+  }
+}
+
+function onLanPlayLine(raw) {
+  var line = raw.trim();
+  if (!line) return;
+  log('[lan-play] ' + line);
+  lastActivity = Date.now();
 
-    if (!shuttingDown) {
-      log('lan-play crashed. Restarting in 3 seconds...');
-      setTimeout(startLanPlay, 3000);
+  var traffic = false;
+  var ips = line.match(/\b10\.13\.\d{1,3}\.\d{1,3}\b/g);
+  if (ips) {
+    ips.forEach(function (ip) {
+      if (ip === SWITCH_SETTINGS.gateway) return;
+      seenLanIPs[ip] = Date.now();
+      traffic = true;
+    });
+  }
+
+  var patch = parseLanPlayLine(line);
+  if (patch && patch.packets && patch.packets !== tunnel.packets) traffic = true;
+  var changed = !!patch && applyTunnelPatch(patch);
+  if (traffic && markTraffic()) changed = true;
+  if (changed) broadcastStatus();
+}
+
+// Switch traffic counts as room activity on the server, so a room that's
+// busy playing doesn't expire. Reported at most this often.
+var TRAFFIC_REPORT_MS = 30 * 1000;
+
+// Returns true if this is news worth a status broadcast
+function markTraffic() {
+  var now = Date.now();
+  if (now - tunnel.lastTrafficAt < TRAFFIC_REPORT_MS) return false;
+  tunnel.lastTrafficAt = now;
+  if (headless.socket && headless.socket.connected && headless.token) {
+    headless.socket.emit('tunnel-activity');
+  }
+  return true;
+}
+
+// ===========================================================================
+// Relay selection — probe every configured relay, use the fastest
+// ===========================================================================
+// Sends lan-play PING packets (type 0x02 followed by a 4-byte payload, which
+// the relay echoes back) to the relay's UDP port and times the replies.
+var RELAY_PING_TYPE = 0x02;
+
+function probeRelay(relayAddr) {
+  return new Promise(function (resolve) {
+    var parsed = splitHostPort(relayAddr);
+    if (!parsed) {
+      return resolve({ relay: relayAddr, reachable: false, rttMs: null, error: 'invalid address' });
     }
+
+    dns.lookup(parsed.host, { family: 4 }, function (err, address) {
+      if (err) {
+        return resolve({ relay: relayAddr, reachable: false, rttMs: null, error: 'DNS lookup failed (' + err.code + ')' });
+      }
+
+      var sock = dgram.createSocket('udp4');
+      var sentAt = {};
+      var best = null;
+      var done = false;
+
+      function finish(error) {
+        if (done) return;
+        done = true;
+        clearTimeout(timer);
+        sock.close();
+        resolve({
+          relay: relayAddr,
+          address: address,
+          reachable: best !== null,
+          rttMs: best,
+          error: best === null ? (error || 'no reply') : null,
+        });
+      }
+
+      var timer = setTimeout(finish, CONFIG.relayProbeTimeoutMs);
+
+      sock.on('message', function (msg) {
+        if (msg.length < 5 || msg[0] !== RELAY_PING_TYPE) return;
+        var id = msg.readUInt32BE(1);
+        if (sentAt[id] === undefined) return;
+        var rtt = Date.now() - sentAt[id];
+        best = best === null ? rtt : Math.min(best, rtt);
+        delete sentAt[id];
+        if (Object.keys(sentAt).length === 0) finish();
+      });
+
+      sock.on('error', function (e) {
+        finish(e.message);
+      });
+
+      for (var i = 0; i < CONFIG.relayProbeCount; i++) {
+        var id = crypto.randomBytes(4).readUInt32BE(0);
+        var packet = Buffer.alloc(5);
+        packet[0] = RELAY_PING_TYPE;
+        packet.writeUInt32BE(id, 1);
+        sentAt[id] = Date.now();
+        sock.send(packet, parsed.port, address);
+      }
+    });
   });
+}
 
-  lanPlayProc.on('error', function (err) {
-    log('Failed to start lan-play: ' + err.message);
-    lanPlayRunning = false;
+function probeAllRelays() {
+  return Promise.all(CONFIG.relays.map(probeRelay)).then(function (results) {
+    relayProbes = results;
+    results.forEach(function (r) {
+      log('Relay ' + r.relay + ': ' + (r.reachable ? r.rttMs + ' ms' : 'unreachable (' + r.error + ')'));
+    });
+    return results;
   });
+}
+
+// Probes every relay and switches to the fastest reachable one, unless the
+// user or the room chose one. Returns true if the relay changed.
+async function selectRelay() {
+  var results = await probeAllRelays();
+  if (relayChoice !== 'auto') return false;
+
+  var reachable = results.filter(function (r) { return r.reachable; });
+  reachable.sort(function (a, b) { return a.rttMs - b.rttMs; });
+  var next = reachable.length ? reachable[0].relay : CONFIG.relay;
+  if (!reachable.length) {
+    log('WARNING: no relay answered a ping. Trying ' + next + ' anyway.');
+  }
+
+  var changed = next !== CONFIG.relay;
+  CONFIG.relay = next;
+  return changed;
+}
 
+// The web app forwards the relay the matchmaking server assigned to its
+// room, so both partners tunnel through the same one. null (room left) goes
+// back to automatic selection.
+async function setRoomRelay(roomRelay) {
+  if (roomRelay === null || roomRelay === undefined) {
+    if (relayChoice !== 'room') return;
+    return setRelayChoice('auto');
+  }
+  if (!splitHostPort(roomRelay)) {
+    throw new Error('Invalid relay address: ' + roomRelay);
+  }
+  relayChoice = 'room';
+  if (roomRelay !== CONFIG.relay) {
+    log('Room assigned relay ' + roomRelay);
+    CONFIG.relay = roomRelay;
+    // Headless mode learns the room's relay before main() starts lan-play
+    if (lanPlayProc) restartLanPlay();
+  }
   broadcastStatus();
 }
 
+// Pins lan-play to a relay chosen by the user ('auto' goes back to picking
+// the fastest). Only relays from the configured list are accepted.
+async function setRelayChoice(choice) {
+  if (choice === 'auto') {
+    relayChoice = 'auto';
+    if (await selectRelay()) restartLanPlay();
+  } else {
+    if (CONFIG.relays.indexOf(choice) === -1) {
+      throw new Error('Unknown relay: ' + choice);
+    }
+    relayChoice = 'manual';
+    if (choice !== CONFIG.relay) {
+      CONFIG.relay = choice;
+      restartLanPlay();
+    }
+  }
+  log('Relay: ' + CONFIG.relay + ' (' + relayChoice + ')');
+  broadcastStatus();
+}
+
+function splitHostPort(addr) {
+  var idx = typeof addr === 'string' ? addr.lastIndexOf(':') : -1;
+  if (idx <= 0) return null;
+  var port = parseInt(addr.slice(idx + 1), 10);
+  if (!(port > 0 && port < 65536)) return null;
+  return { host: addr.slice(0, idx).replace(/^\[|\]$/g, ''), port: port };
+}
+
+// ===========================================================================
+// Network interfaces — what lan-play can capture on
+// ===========================================================================
+// Last --list-if result, used to validate set-interface
+var knownInterfaces = null;
+
+// Runs `lan-play --list-if` and parses lines like
+//   1. en0 (Wi-Fi)
+//           IP: [192.168.1.20]
+// into [{ name, description, ips }]
+function listInterfaces() {
+  return new Promise(function (resolve, reject) {
+    var proc = spawn(BINARY_PATH, ['--list-if'], { stdio: ['ignore', 'pipe', 'pipe'] });
+    var output = '';
+    var timer = setTimeout(function () {
+      proc.kill();
+      reject(new Error('lan-play --list-if timed out'));
+    }, CONFIG.listInterfacesTimeoutMs);
+
+    proc.stdout.on('data', function (d) { output += d; });
+    proc.stderr.on('data', function (d) { output += d; });
+    proc.on('error', function (err) {
+      clearTimeout(timer);
+      reject(new Error('Could not run lan-play --list-if: ' + err.message));
+    });
+    proc.on('close', function () {
+      clearTimeout(timer);
+      knownInterfaces = parseInterfaceList(output);
+      resolve(knownInterfaces);
+    });
+  });
+}
+
+function parseInterfaceList(output) {
+  var list = [];
+  output.split(/\r?\n/).forEach(function (line) {
+    var m = /^\s*\d+\.\s+(\S+)(?:\s+\((.*)\))?\s*$/.exec(line);
+    if (m) {
+      list.push({ name: m[1], description: m[2] || null, ips: [] });
+      return;
+    }
+    var ip = /IP:\s*\[?([0-9a-fA-F.:]+)\]?/.exec(line);
+    if (ip && list.length) list[list.length - 1].ips.push(ip[1]);
+  });
+  return list;
+}
+
+// CLI flag wins, then whatever was picked last time (CLI or web app), then
+// the baked config. An explicit CLI choice is remembered for next time.
+function resolveInterface() {
+  var cli = parseArg('--netif');
+  if (cli) {
+    state.interface = cli;
+    saveState();
+  }
+  CONFIG.interface = cli || state.interface || bakedConfig.netif || null;
+}
+
+// ===========================================================================
+// lan-play output parsing — turns log lines into tunnel health
+// ===========================================================================
+// lan-play has no machine-readable output, so this matches the lines it
+// prints. Patterns are deliberately loose (case, punctuation) so minor
+// wording changes between lan-play versions don't break them; anything
+// unrecognised is just logged.
+var LAN_PLAY_PATTERNS = [
+  // "Server ping: 34ms" — printed periodically while the relay answers
+  { re: /ping\D{0,10}(\d+(?:\.\d+)?)\s*ms/i, apply: function (m) {
+    return { relay: 'connected', pingMs: Math.round(parseFloat(m[1])), lastPingAt: Date.now() };
+  } },
+  // Relay problems: timeouts, unreachable, connection failures
+  { re: /(relay|server).*(time[sd]? ?out|unreachable|fail|lost|disconnect|refused)/i, apply: function () {
+    return { relay: 'disconnected', pingMs: null };
+  } },
+  // "Opening en0" / "Interface: \Device\NPF_{...}" / "using interface eth0"
+  { re: /(?:^opening|^interface:?|using (?:interface|device):?)\s+(.+)$/i, apply: function (m) {
+    return { interface: m[1].trim() };
+  } },
+  // "2 clients online" / "clients: 2"
+  { re: /(?:(\d+)\s+(?:clients?|users?)\b|\b(?:clients?|users?)\s*[:=]\s*(\d+))/i, apply: function (m) {
+    return { clients: parseInt(m[1] || m[2], 10) };
+  } },
+  // "packets: 1234" / "1234 packets"
+  { re: /(?:(\d+)\s+packets?\b|\bpackets?\s*[:=]\s*(\d+))/i, apply: function (m) {
+    return { packets: parseInt(m[1] || m[2], 10) };
+  } },
+];
+
+function newTunnelState() {
+  return {
+    relay: 'unknown',   // unknown | connected | disconnected
+    pingMs: null,
+    interface: null,
+    clients: null,
+    packets: null,
+    lastPingAt: 0,
+    lastTrafficAt: 0,   // last Switch traffic (throttled, see markTraffic)
+  };
+}
+
+// Returns the fields this line tells us about, or null. A line can match
+// more than one pattern (e.g. ping and client count on one line).
+function parseLanPlayLine(line) {
+  var patch = null;
+  for (var i = 0; i < LAN_PLAY_PATTERNS.length; i++) {
+    var m = LAN_PLAY_PATTERNS[i].re.exec(line);
+    if (m) patch = Object.assign(patch || {}, LAN_PLAY_PATTERNS[i].apply(m));
+  }
+  return patch;
+}
+
+// Returns true if anything the web app shows actually changed
+function applyTunnelPatch(patch) {
+  var changed = false;
+  for (var key in patch) {
+    if (key !== 'lastPingAt' && tunnel[key] !== patch[key]) changed = true;
+    tunnel[key] = patch[key];
+  }
+  return changed;
+}
+
+// lan-play doesn't say when pings stop, so a quiet relay is a dead relay
+function startTunnelWatch() {
+  setInterval(function () {
+    if (tunnel.relay === 'connected' && Date.now() - tunnel.lastPingAt > CONFIG.relayStaleMs) {
+      log('No server ping for ' + (CONFIG.relayStaleMs / 1000) + 's. Relay looks unreachable.');
+      applyTunnelPatch({ relay: 'disconnected', pingMs: null });
+      broadcastStatus();
+    }
+  }, CONFIG.checkIntervalMs);
+}
+
 // ===========================================================================
 // WebSocket server — the web app connects here for status + heartbeats
 // ===========================================================================
@@ -211,26 +858,51 @@ function startWebSocketServer() {
       return;
     }
 
-    log('Browser connected');
+    var origin = req.headers.origin;
+    if (CONFIG.allowedOrigins.indexOf(origin) === -1) {
+      log('Rejected connection from origin ' + (origin || '(none)'));
+      ws.close(4003, 'Forbidden');
+      return;
+    }
+
+    log('Browser connected (' + origin + ')');
     connectedClients.add(ws);
     lastActivity = Date.now();
 
+    // Until the browser proves it's paired, it only gets status
+    var authed = false;
+
     // Send initial status
     wsSend(ws, { type: 'status', data: getStatus() });
 
     ws.on('message', function (raw) {
       lastActivity = Date.now();
+      var msg;
       try {
-        var msg = JSON.parse(raw.toString());
-        if (msg.type === 'heartbeat') {
-          lastHeartbeat = Date.now();
-          hasReceivedHeartbeat = true;
-          wsSend(ws, { type: 'heartbeat-ack' });
-        } else if (msg.type === 'status') {
-          wsSend(ws, { type: 'status', data: getStatus() });
-        }
+        msg = JSON.parse(raw.toString());
       } catch (e) {
-        // ignore malformed messages
+        return; // ignore malformed messages
+      }
+
+      if (msg.type === 'heartbeat') {
+        lastHeartbeat = Date.now();
+        hasReceivedHeartbeat = true;
+        wsSend(ws, { type: 'heartbeat-ack' });
+      } else if (msg.type === 'status') {
+        wsSend(ws, { type: 'status', data: getStatus() });
+      } else if (msg.type === 'auth') {
+        authed = isPairedToken(msg.token);
+        wsSend(ws, authed ? { type: 'authed' } : { type: 'pair-required' });
+      } else if (msg.type === 'pair') {
+        var token = tryPair(msg.code);
+        authed = !!token;
+        wsSend(ws, token ? { type: 'paired', token: token } : { type: 'pair-failed', message: 'Wrong pairing code.' });
+      } else if (msg.type === 'command') {
+        if (!authed) {
+          wsSend(ws, { type: 'command-result', id: msg.id, command: msg.command, ok: false, error: 'Not paired with this launcher.' });
+          return;
+        }
+        runCommand(ws, msg);
       }
     });
 
@@ -241,6 +913,7 @@ function startWebSocketServer() {
   });
 
   server.listen(CONFIG.wsPort, '127.0.0.1', function () {
+    wsListening = true;
     log('Listening on ws://localhost:' + CONFIG.wsPort);
     log('Waiting for browser to connect...');
   });
@@ -254,6 +927,156 @@ function startWebSocketServer() {
   });
 }
 
+// ===========================================================================
+// Pairing — a browser proves it's the user's by entering the code printed in
+// this terminal once; after that it authenticates with a stored token
+// ===========================================================================
+function newPairingCode() {
+  return String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+}
+
+function tryPair(code) {
+  if (typeof code !== 'string' || code.trim() !== pairingCode) {
+    pairingFailures++;
+    if (pairingFailures >= CONFIG.maxPairingFailures) {
+      pairingFailures = 0;
+      pairingCode = newPairingCode();
+      log('Too many wrong pairing attempts. New pairing code: ' + pairingCode);
+    }
+    return null;
+  }
+
+  var token = crypto.randomBytes(32).toString('hex');
+  state.tokens.push(token);
+  saveState();
+  pairingFailures = 0;
+  pairingCode = newPairingCode();
+  log('Browser paired. Next pairing code: ' + pairingCode);
+  return token;
+}
+
+function isPairedToken(token) {
+  if (typeof token !== 'string') return false;
+  var given = Buffer.from(token);
+  return state.tokens.some(function (t) {
+    var known = Buffer.from(t);
+    return known.length === given.length && crypto.timingSafeEqual(known, given);
+  });
+}
+
+// ===========================================================================
+// Commands — control messages from a paired browser. Each gets exactly one
+// command-result reply carrying the same id.
+// ===========================================================================
+var COMMANDS = {
+  restart: function () {
+    restartLanPlay();
+    return {};
+  },
+  stop: function () {
+    stopLanPlay();
+    return {};
+  },
+  'set-relay': function (args) {
+    return setRelayChoice(args.relay);
+  },
+  'room-relay': function (args) {
+    return setRoomRelay(args.relay);
+  },
+  'probe-relays': function () {
+    return selectRelay().then(function (changed) {
+      if (changed) restartLanPlay();
+      broadcastStatus();
+      return { relays: relayProbes };
+    });
+  },
+  'list-interfaces': function () {
+    return listInterfaces().then(function (list) {
+      return { interfaces: list, current: CONFIG.interface };
+    });
+  },
+  'set-interface': function (args) {
+    setInterface(args.name === undefined ? null : args.name);
+    return {};
+  },
+  logs: function (args) {
+    var limit = Math.min(parseInt(args.limit, 10) || 100, CONFIG.logHistory);
+    return { lines: recentLogs.slice(-limit) };
+  },
+  // args.ip: the address the room gave this player, if the web app knows it;
+  // args.network: the room's Switch settings, for the hints
+  doctor: function (args) {
+    useSwitchSettings(args.network);
+    return runDoctor({ expectedIP: typeof args.ip === 'string' ? args.ip : null });
+  },
+};
+
+function runCommand(ws, msg) {
+  var handler = Object.prototype.hasOwnProperty.call(COMMANDS, msg.command) ? COMMANDS[msg.command] : null;
+  var reply = { type: 'command-result', id: msg.id, command: msg.command };
+
+  if (!handler) {
+    reply.ok = false;
+    reply.error = 'Unknown command: ' + msg.command;
+    wsSend(ws, reply);
+    return;
+  }
+
+  Promise.resolve()
+    .then(function () { return handler(msg.args || {}); })
+    .then(function (data) {
+      reply.ok = true;
+      reply.data = data || {};
+      wsSend(ws, reply);
+      broadcastStatus();
+    }, function (err) {
+      reply.ok = false;
+      reply.error = err.message;
+      wsSend(ws, reply);
+    });
+}
+
+// null goes back to letting lan-play pick
+function setInterface(name) {
+  if (name !== null && (typeof name !== 'string' || !name.trim() || name.length > 200 || /[\u0000-\u001f]/.test(name))) {
+    throw new Error('Invalid interface name.');
+  }
+  var trimmed = name === null ? null : name.trim();
+  if (trimmed && knownInterfaces && knownInterfaces.length
+      && !knownInterfaces.some(function (i) { return i.name === trimmed; })) {
+    throw new Error('lan-play does not list an interface named ' + trimmed + '.');
+  }
+  CONFIG.interface = trimmed;
+  state.interface = trimmed;
+  saveState();
+  log('Network interface: ' + (CONFIG.interface || 'automatic'));
+  restartLanPlay();
+}
+
+// ===========================================================================
+// Persistent state
+// ===========================================================================
+function loadState() {
+  var loaded = {};
+  try {
+    loaded = JSON.parse(fs.readFileSync(STATE_PATH, 'utf8'));
+  } catch (e) {
+    // First run, or unreadable — start fresh
+  }
+  return {
+    tokens: Array.isArray(loaded.tokens) ? loaded.tokens : [],
+    interface: typeof loaded.interface === 'string' ? loaded.interface : null,
+  };
+}
+
+function saveState() {
+  try {
+    fs.writeFileSync(STATE_PATH, JSON.stringify(state, null, 2));
+  } catch (err) {
+    log('WARNING: could not save ' + STATE_PATH + ': ' + err.message);
+  }
+}
+
 function wsSend(ws, obj) {
   if (ws.readyState === 1) { // WebSocket.OPEN
     ws.send(JSON.stringify(obj));
@@ -261,6 +1084,7 @@ function wsSend(ws, obj) {
 }
 
 function broadcastStatus() {
+  reportHeadlessReady();
   var status = { type: 'status', data: getStatus() };
   var payload = JSON.stringify(status);
   for (var ws of connectedClients) {
@@ -271,12 +1095,429 @@ function broadcastStatus() {
 function getStatus() {
   return {
     running: lanPlayRunning,
+    stopped: stoppedByUser,
+    crashed: crashInfo,
+    interface: CONFIG.interface,
+    lanPlayOptions: CONFIG.lanPlayOptions,
     relay: CONFIG.relay,
+    relayChoice: relayChoice,
+    relays: relayProbes.length ? relayProbes : CONFIG.relays.map(function (r) {
+      return { relay: r, reachable: null, rttMs: null, error: null };
+    }),
+    tunnel: {
+      relay: tunnel.relay,
+      pingMs: tunnel.pingMs,
+      interface: tunnel.interface,
+      clients: tunnel.clients,
+      packets: tunnel.packets,
+      lastTrafficAt: tunnel.lastTrafficAt,
+    },
     platform: PLATFORM,
     version: CONFIG.lanPlayVersion,
   };
 }
 
+// ===========================================================================
+// Headless room mode (--room) — join a room without a browser
+// ===========================================================================
+// lan-play's defaults, until a room tells us what its server hands out
+var SWITCH_SETTINGS = { subnet: '255.255.0.0', gateway: '10.13.37.1', mtu: 1400 };
+
+// network is room-joined's { subnet, gateway, mtu }, passed on by the web app
+// or the headless socket. Anything malformed is ignored.
+function useSwitchSettings(network) {
+  if (!network || typeof network !== 'object') return;
+  if (typeof network.subnet === 'string') SWITCH_SETTINGS.subnet = network.subnet;
+  if (/^10\.13\.\d{1,3}\.\d{1,3}$/.test(network.gateway)) SWITCH_SETTINGS.gateway = network.gateway;
+  if (typeof network.mtu === 'number') SWITCH_SETTINGS.mtu = network.mtu;
+}
+
+var headless = {
+  socket: null,
+  token: null,      // from room-joined; resumes our seat after a reconnect
+  ip: null,
+  members: null,    // ip -> connected, from the last roster
+  reported: null,   // last ready-state sent, to skip repeats
+  expiryWarned: false,
+  queuePosition: null,  // our place in line while the room is full
+  switchReady: CONFIG.switchReady,  // "Switch configured" for the ready check
+  prompt: null,     // readline interface while we're asking about the Switch
+};
+
+// Resolves once we're in the room. Errors before that reject (main() exits);
+// after that, losing the room shuts the launcher down.
+function joinRoomHeadless() {
+  return new Promise(function (resolve, reject) {
+    var socket = ioClient(CONFIG.serverUrl, { reconnectionDelayMax: 10 * 1000 });
+    var joined = false;
+    headless.socket = socket;
+
+    function emitJoin() {
+      socket.emit('join-room', { code: CONFIG.room, password: CONFIG.roomPassword || undefined });
+    }
+
+    function fail(message) {
+      log(message);
+      if (joined) {
+        shutdown('left-room');
+      } else {
+        socket.close();
+        reject(new Error('Could not join room ' + CONFIG.room + '.'));
+      }
+    }
+
+    socket.on('connect', function () {
+      if (headless.token) {
+        socket.emit('resume-session', { token: headless.token });
+      } else {
+        emitJoin();
+      }
+    });
+
+    socket.on('connect_error', function (err) {
+      if (!joined) fail('Could not reach ' + CONFIG.serverUrl + ': ' + err.message);
+    });
+
+    socket.on('disconnect', function (reason) {
+      if (!shuttingDown) log('Lost connection to the server (' + reason + '). Reconnecting...');
+    });
+
+    socket.on('room-joined', function (data) {
+      headless.queuePosition = null;
+      headless.token = data.token;
+      headless.ip = data.assignedIP;
+      useSwitchSettings(data.network);
+      if (data.resumed) {
+        log('Back in room ' + data.code + '.');
+      } else {
+        printRoomInfo(data);
+        // A new seat means a new IP, so the Switch needs setting up again
+        if (!CONFIG.switchReady) {
+          headless.switchReady = false;
+          askSwitchReady();
+        }
+      }
+      setRoomRelay(data.relay || null).catch(function (err) {
+        log('WARNING: ' + err.message);
+      });
+      headless.reported = null;
+      reportHeadlessReady();
+      if (!joined) {
+        joined = true;
+        resolve();
+      }
+    });
+
+    // We were away longer than the server holds seats; the room may still be there
+    socket.on('resume-failed', function () {
+      log('Our seat in the room was released. Joining again...');
+      headless.token = null;
+      headless.members = null;
+      emitJoin();
+    });
+
+    socket.on('roster', onHeadlessRoster);
+
+    // A full room puts us in line; room-joined follows when a seat opens
+    socket.on('waitlist', function (data) {
+      if (data.position === headless.queuePosition) return;
+      if (headless.queuePosition === null) {
+        log('Room ' + data.code + ' is full. Waiting in line for a seat...');
+      }
+      headless.queuePosition = data.position;
+      log('Position in line: ' + data.position + ' of ' + data.length + '.');
+    });
+
+    ['room-full', 'room-error', 'room-locked', 'room-password', 'rate-limited', 'kicked'].forEach(function (event) {
+      socket.on(event, function (data) { fail(data.message); });
+    });
+    socket.on('room-expiry', function (data) {
+      if (data.warning && !headless.expiryWarned) {
+        log('Room ' + CONFIG.room + ' closes in ' + Math.ceil(data.remainingMs / 60000)
+          + ' min unless someone plays or chats. Switch traffic keeps it open.');
+      } else if (!data.warning && headless.expiryWarned) {
+        log('Room ' + CONFIG.room + ' is active again.');
+      }
+      headless.expiryWarned = !!data.warning;
+    });
+    socket.on('room-expired', function () {
+      fail('Room ' + CONFIG.room + ' has expired.');
+    });
+    socket.on('maintenance', function (data) {
+      log('Server notice: ' + data.message);
+    });
+  });
+}
+
+function printRoomInfo(data) {
+  log('');
+  log('Joined room ' + data.code + ' (' + data.playerCount + '/' + data.capacity + ' players).');
+  log('On the Switch: System Settings > Internet > Internet Settings > your network > Change Settings');
+  log('  IP Address Settings: Manual');
+  log('  IP Address:          ' + data.assignedIP);
+  log('  Subnet Mask:         ' + SWITCH_SETTINGS.subnet);
+  log('  Gateway:             ' + SWITCH_SETTINGS.gateway);
+  log('  MTU:                 ' + SWITCH_SETTINGS.mtu);
+  log('');
+}
+
+// Logs partners coming and going by diffing against the previous roster
+function onHeadlessRoster(roster) {
+  var now = {};
+  roster.members.forEach(function (m) { now[m.ip] = m.connected; });
+  var before = headless.members;
+  headless.members = now;
+
+  var partners = Object.keys(now).filter(function (ip) { return ip !== headless.ip; });
+  if (!before) {
+    log(partners.length ? 'In the room: ' + partners.join(', ') : 'Waiting for a partner to join ' + CONFIG.room + '...');
+    return;
+  }
+  partners.forEach(function (ip) {
+    if (!(ip in before)) log('Partner ' + ip + ' joined (' + roster.playerCount + '/' + roster.capacity + ').');
+    else if (now[ip] && !before[ip]) log('Partner ' + ip + ' is back.');
+    else if (!now[ip] && before[ip]) log('Partner ' + ip + ' lost connection. Their seat is held for now.');
+  });
+  Object.keys(before).forEach(function (ip) {
+    if (ip !== headless.ip && !(ip in now)) log('Partner ' + ip + ' left (' + roster.playerCount + '/' + roster.capacity + ').');
+  });
+}
+
+// Stands in for the web app's "My Switch is set up" checkbox
+function askSwitchReady() {
+  if (headless.prompt) return;
+  if (!process.stdin.isTTY) {
+    log('Start the launcher with --switch-ready to tell the room the Switch is set up.');
+    return;
+  }
+  headless.prompt = readline.createInterface({ input: process.stdin, output: process.stdout });
+  headless.prompt.question('Press Enter once the Switch uses these settings. ', function () {
+    headless.prompt.close();
+    headless.prompt = null;
+    headless.switchReady = true;
+    log('Switch marked as set up.');
+    reportHeadlessReady();
+  });
+}
+
+// Feeds the room's ready check
+function reportHeadlessReady() {
+  var socket = headless.socket;
+  if (!socket || !socket.connected || !headless.token) return;
+  var ready = { launcher: true, lanPlay: lanPlayRunning, switchConfigured: headless.switchReady };
+  var key = JSON.stringify(ready);
+  if (key === headless.reported) return;
+  headless.reported = key;
+  socket.emit('ready-state', ready);
+}
+
+// ===========================================================================
+// Doctor — connectivity checks with a pass/fail report (--doctor, doctor command)
+// ===========================================================================
+var NPCAP_PATHS = [
+  'C:\\Windows\\System32\\Npcap\\wpcap.dll',
+  'C:\\Windows\\System32\\wpcap.dll',
+];
+
+function findNpcap() {
+  return NPCAP_PATHS.find(function (p) { return fs.existsSync(p); }) || null;
+}
+
+// Each check resolves to { id, title, status, detail, hint }, status being
+// pass | warn | fail | skip. Hints only come with warn and fail. Checks run
+// one after another so the report reads in a sensible order.
+async function runDoctor(opts) {
+  var checks = [];
+  function add(id, title, status, detail, hint) {
+    checks.push({ id: id, title: title, status: status, detail: detail, hint: status === 'pass' || status === 'skip' ? null : hint });
+  }
+
+  for (var i = 0; i < CONFIG.relays.length; i++) {
+    await checkRelay(CONFIG.relays[i], add);
+  }
+  await checkBinary(add);
+  checkNpcap(add);
+  await checkCapturePermissions(add);
+  await checkWsPort(add);
+  checkSwitchTraffic(opts.expectedIP || headless.ip, add);
+
+  return {
+    generatedAt: new Date().toISOString(),
+    platform: PLATFORM,
+    arch: process.arch,
+    lanPlayVersion: CONFIG.lanPlayVersion,
+    relay: CONFIG.relay,
+    interface: CONFIG.interface,
+    running: lanPlayRunning,
+    crashed: crashInfo,
+    ok: checks.every(function (c) { return c.status !== 'fail'; }),
+    checks: checks,
+  };
+}
+
+async function checkRelay(relayAddr, add) {
+  var parsed = splitHostPort(relayAddr);
+  if (!parsed) {
+    add('relay-dns', 'Relay ' + relayAddr, 'fail', 'Not a host:port address.',
+      'Pass relays as --relay host:port, e.g. --relay relay.example.com:11451.');
+    return;
+  }
+  var resolved = await new Promise(function (resolve) {
+    dns.lookup(parsed.host, { family: 4 }, function (err, address) {
+      resolve(err ? { error: err.code || err.message } : { address: address });
+    });
+  });
+  if (resolved.error) {
+    add('relay-dns', 'Relay ' + relayAddr + ' DNS', 'fail', 'Lookup failed (' + resolved.error + ').',
+      'Check your internet connection and the relay address. Some networks block unusual DNS names; try another DNS server.');
+    add('relay-udp', 'Relay ' + relayAddr + ' UDP', 'skip', 'Skipped, the name did not resolve.');
+    return;
+  }
+  add('relay-dns', 'Relay ' + relayAddr + ' DNS', 'pass', 'Resolves to ' + resolved.address + '.');
+
+  var probe = await probeRelay(relayAddr);
+  if (probe.reachable) {
+    add('relay-udp', 'Relay ' + relayAddr + ' UDP', 'pass', 'Answered in ' + probe.rttMs + ' ms.');
+  } else {
+    add('relay-udp', 'Relay ' + relayAddr + ' UDP', 'fail', 'No answer (' + (probe.error || 'no reply') + ').',
+      'A firewall or router may be blocking outgoing UDP to port ' + parsed.port + '. Allow it, or try another network.');
+  }
+}
+
+async function checkBinary(add) {
+  if (!fs.existsSync(BINARY_PATH)) {
+    add('binary', 'lan-play binary', 'fail', 'Not found at ' + BINARY_PATH + '.',
+      'Start the launcher normally to download it, or place ' + BINARY_NAME + ' from the lan-play releases next to the launcher.');
+    return;
+  }
+  var actual;
+  try {
+    actual = await sha256File(BINARY_PATH);
+  } catch (err) {
+    add('binary', 'lan-play binary', 'fail', 'Could not read it (' + err.message + ').',
+      'Delete ' + BINARY_PATH + ' and start the launcher again to download a fresh copy.');
+    return;
+  }
+  if (PLATFORM !== 'win32') {
+    try {
+      fs.accessSync(BINARY_PATH, fs.constants.X_OK);
+    } catch (err) {
+      add('binary', 'lan-play binary', 'fail', 'Not executable.', 'Run: chmod +x ' + BINARY_PATH);
+      return;
+    }
+  }
+  if (!EXPECTED_SHA256) {
+    add('binary', 'lan-play binary', 'fail', 'No pinned SHA-256 to check against (sha256 ' + actual + ').',
+      'This build of the launcher does not pin a hash for ' + BINARY_NAME + ' v' + CONFIG.lanPlayVersion
+      + ', so it will not run lan-play. Compare the hash with the official release and pass it with --binary-sha256 (or set binarySha256 in config.js).');
+  } else if (actual !== EXPECTED_SHA256) {
+    add('binary', 'lan-play binary', 'fail', 'SHA-256 mismatch (got ' + actual + ').',
+      'Delete ' + BINARY_PATH + ' and start the launcher again to download a verified copy.');
+  } else {
+    add('binary', 'lan-play binary', 'pass', 'v' + CONFIG.lanPlayVersion + ', SHA-256 verified.');
+  }
+}
+
+function checkNpcap(add) {
+  if (PLATFORM !== 'win32') {
+    add('npcap', 'Npcap', 'skip', 'Only needed on Windows.');
+    return;
+  }
+  var found = findNpcap();
+  if (found) {
+    add('npcap', 'Npcap', 'pass', 'Found ' + found + '.');
+  } else {
+    add('npcap', 'Npcap', 'fail', 'wpcap.dll not found.',
+      'Install Npcap from https://npcap.com/#download with "WinPcap API-compatible Mode" checked, then restart the launcher.');
+  }
+}
+
+// lan-play captures raw packets: root, CAP_NET_RAW on the binary (Linux) or
+// readable /dev/bpf* (macOS)
+async function checkCapturePermissions(add) {
+  if (PLATFORM === 'win32') {
+    add('capture', 'Capture permissions', 'skip', 'Handled by Npcap on Windows.');
+    return;
+  }
+  if (process.getuid && process.getuid() === 0) {
+    add('capture', 'Capture permissions', 'pass', 'Running as root.');
+    return;
+  }
+  if (PLATFORM === 'darwin') {
+    try {
+      fs.accessSync('/dev/bpf0', fs.constants.R_OK | fs.constants.W_OK);
+      add('capture', 'Capture permissions', 'pass', '/dev/bpf0 is accessible.');
+    } catch (err) {
+      add('capture', 'Capture permissions', 'fail', 'Not root and /dev/bpf0 is not accessible.',
+        'Run the launcher with sudo, or install Wireshark\'s ChmodBPF to grant access to /dev/bpf*.');
+    }
+    return;
+  }
+  var caps = await new Promise(function (resolve) {
+    execFile('getcap', [BINARY_PATH], { timeout: 5000 }, function (err, stdout) {
+      resolve(err ? null : stdout);
+    });
+  });
+  if (caps && /cap_net_raw/.test(caps)) {
+    add('capture', 'Capture permissions', 'pass', 'lan-play has CAP_NET_RAW.');
+  } else {
+    add('capture', 'Capture permissions', caps === null ? 'warn' : 'fail',
+      caps === null ? 'Not root, and getcap could not check the binary.' : 'Not root and lan-play has no CAP_NET_RAW.',
+      'Run the launcher with sudo, or grant the capability once: sudo setcap cap_net_raw,cap_net_admin=eip ' + BINARY_PATH);
+  }
+}
+
+// Standalone, the port has to be free for the launcher to start. From the
+// doctor command we're the ones holding it.
+function checkWsPort(add) {
+  if (wsListening) {
+    add('ws-port', 'Port ' + CONFIG.wsPort, 'pass', 'In use by this launcher.');
+    return Promise.resolve();
+  }
+  return new Promise(function (resolve) {
+    var server = net.createServer();
+    server.once('error', function (err) {
+      add('ws-port', 'Port ' + CONFIG.wsPort, 'fail', 'Not available (' + err.code + ').',
+        'Another launcher is probably still running. Close it (check the system tray / task manager) and try again.');
+      resolve();
+    });
+    server.listen(CONFIG.wsPort, '127.0.0.1', function () {
+      server.close(function () {
+        add('ws-port', 'Port ' + CONFIG.wsPort, 'pass', 'Free.');
+        resolve();
+      });
+    });
+  });
+}
+
+function checkSwitchTraffic(expectedIP, add) {
+  var seen = Object.keys(seenLanIPs);
+  if (!lanPlayRunning) {
+    add('switch-traffic', 'Traffic from the Switch', 'skip',
+      'lan-play is not running, so there is nothing to watch. Run the doctor from the web app while in a room to include this check.');
+    return;
+  }
+  var detail = seen.length ? 'Seen: ' + seen.join(', ') + '.' : 'No 10.13.x.x traffic seen yet.';
+  var hint = 'On the Switch, set IP ' + (expectedIP || 'from the room') + ', subnet ' + SWITCH_SETTINGS.subnet
+    + ', gateway ' + SWITCH_SETTINGS.gateway + ', and open a local wireless session in the game. The Switch has to be on the same network as this PC; if it is, try another interface (--list-if).';
+  if (expectedIP ? seenLanIPs[expectedIP] : seen.length) {
+    add('switch-traffic', 'Traffic from the Switch', 'pass', detail);
+  } else {
+    add('switch-traffic', 'Traffic from the Switch', 'fail',
+      (expectedIP ? 'Nothing seen from ' + expectedIP + '. ' : '') + detail, hint);
+  }
+}
+
+function printDoctorReport(report) {
+  var marks = { pass: 'PASS', warn: 'WARN', fail: 'FAIL', skip: 'SKIP' };
+  log('Doctor report (' + report.platform + ', lan-play v' + report.lanPlayVersion + ')');
+  report.checks.forEach(function (c) {
+    log('  [' + marks[c.status] + '] ' + c.title + ': ' + c.detail);
+    if (c.hint) log('         ' + c.hint);
+  });
+  log(report.ok ? 'No problems found.' : 'Some checks failed. See the hints above.');
+}
+
 // ===========================================================================
 // Auto-shutdown monitor
 // ===========================================================================
@@ -301,7 +1542,7 @@ function startShutdownMonitor() {
   }, CONFIG.checkIntervalMs);
 }
 
-function shutdown() {
+function shutdown(reason) {
   if (shuttingDown) return;
   shuttingDown = true;
 
@@ -309,10 +1550,15 @@ function shutdown() {
 
   // Notify connected clients
   for (var ws of connectedClients) {
-    wsSend(ws, { type: 'shutdown', reason: 'timeout' });
+    wsSend(ws, { type: 'shutdown', reason: reason || 'timeout' });
     ws.close();
   }
 
+  // Give our seat up right away instead of leaving it held for the grace period
+  if (headless.socket && headless.socket.connected) {
+    headless.socket.emit('leave-room');
+  }
+
   // Kill lan-play
   if (lanPlayProc && !lanPlayProc.killed) {
     lanPlayProc.kill();
@@ -340,29 +1586,63 @@ process.on('SIGTERM', function () {
 // Main
 // ===========================================================================
 async function main() {
+  // Doctor mode: checks only, nothing is downloaded or started
+  if (hasFlag('--doctor')) {
+    resolveInterface();
+    var report = await runDoctor({ expectedIP: null });
+    if (hasFlag('--json')) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      printDoctorReport(report);
+    }
+    process.exit(report.ok ? 0 : 1);
+  }
+
   log('=== lan-play-bridge-launcher v' + CONFIG.lanPlayVersion + ' ===');
   log('Platform: ' + PLATFORM);
-  log('Relay:    ' + CONFIG.relay);
+  if (CONFIG.relays.length) log('Relays:   ' + CONFIG.relays.join(', '));
 
   // Step 1: Ensure binary exists
   try {
     await ensureBinary();
   } catch (err) {
     log('FATAL: ' + err.message);
-    log('Please download lan-play manually from:');
-    log('  https://github.com/spacemeowx2/switch-lan-play/releases');
-    log('Place it in: ' + BASE_DIR);
+    if (!EXPECTED_SHA256) {
+      // A copy placed by hand is checked against the same missing hash, so
+      // the only way forward is to supply one
+      log('Look up the SHA-256 of ' + BINARY_NAME + ' on the release page:');
+      log('  https://github.com/spacemeowx2/switch-lan-play/releases/tag/v' + CONFIG.lanPlayVersion);
+      log('and pass it with --binary-sha256 (or set binarySha256 in config.js).');
+    } else {
+      log('Please download ' + BINARY_NAME + ' v' + CONFIG.lanPlayVersion + ' manually from:');
+      log('  https://github.com/spacemeowx2/switch-lan-play/releases/tag/v' + CONFIG.lanPlayVersion);
+      log('Place it in: ' + BASE_DIR);
+      log('It must have SHA-256 ' + EXPECTED_SHA256 + '.');
+    }
     process.exit(1);
   }
 
+  if (hasFlag('--list-if')) {
+    try {
+      var interfaces = await listInterfaces();
+      if (!interfaces.length) log('lan-play listed no interfaces.');
+      interfaces.forEach(function (i) {
+        log(i.name + (i.description ? ' (' + i.description + ')' : '')
+          + (i.ips.length ? ' ' + i.ips.join(', ') : ''));
+      });
+      process.exit(0);
+    } catch (err) {
+      log('ERROR: ' + err.message);
+      process.exit(1);
+    }
+  }
+
+  resolveInterface();
+  if (CONFIG.interface) log('Interface: ' + CONFIG.interface);
+
   // Step 2: Check for Npcap on Windows
   if (PLATFORM === 'win32') {
-    var npcapPaths = [
-      'C:\\Windows\\System32\\Npcap\\wpcap.dll',
-      'C:\\Windows\\System32\\wpcap.dll',
-    ];
-    var hasNpcap = npcapPaths.some(function (p) { return fs.existsSync(p); });
-    if (!hasNpcap) {
+    if (!findNpcap()) {
       log('WARNING: Npcap does not appear to be installed.');
       log('lan-play requires Npcap to capture network packets.');
       log('Download from: https://npcap.com/#download');
@@ -374,12 +1654,28 @@ async function main() {
 
   // Step 3: Start WebSocket server (so the web app can connect)
   startWebSocketServer();
+  log('Pairing code: ' + pairingCode + ' (enter it in the web app to allow it to control this launcher)');
+
+  // Step 4 (headless): join the room, which may assign our relay
+  if (CONFIG.room) {
+    log('Joining room ' + CONFIG.room + ' on ' + CONFIG.serverUrl + ' ...');
+    try {
+      await joinRoomHeadless();
+    } catch (err) {
+      log('FATAL: ' + err.message);
+      process.exit(1);
+    }
+  }
 
-  // Step 4: Start lan-play
+  // Step 5: Pick the fastest relay (unless the room picked one) and start lan-play
+  if (relayChoice !== 'room') await selectRelay();
+  log('Using relay ' + CONFIG.relay);
   startLanPlay();
 
-  // Step 5: Start auto-shutdown monitor
-  startShutdownMonitor();
+  // Step 6: Start auto-shutdown monitor and relay staleness check. Headless,
+  // there's no browser to send heartbeats; leaving the room ends the launcher.
+  if (!CONFIG.room) startShutdownMonitor();
+  startTunnelWatch();
 }
 
 main();
@@ -0,0 +1,156 @@
+/**
+ * lan-play-bridge — admin dashboard
+ *
+ * Talks to the token-protected admin REST API (server must be started with
+ * ADMIN_TOKEN set):
+ *   GET    /admin/api/rooms              list rooms with members and waitlists
+ *   DELETE /admin/api/rooms/:code        force-close a room (room-expired)
+ *   POST   /admin/api/sockets/:id/kick   kick one socket
+ *   POST   /admin/api/broadcast          { message } maintenance notice
+ */
+
+const TOKEN_KEY = 'lan-play-bridge:admin-token';
+const REFRESH_MS = 10 * 1000;
+
+// --- DOM ---
+const tokenInput  = document.getElementById('token-input');
+const refreshBtn  = document.getElementById('refresh-btn');
+const noticeInput = document.getElementById('notice-input');
+const noticeBtn   = document.getElementById('notice-btn');
+const adminMsg    = document.getElementById('admin-msg');
+const roomCount   = document.getElementById('room-count');
+const roomList    = document.getElementById('room-list');
+
+tokenInput.value = sessionStorage.getItem(TOKEN_KEY) || '';
+
+// --- Actions ---
+refreshBtn.addEventListener('click', () => {
+  sessionStorage.setItem(TOKEN_KEY, tokenInput.value);
+  loadRooms();
+});
+
+tokenInput.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') refreshBtn.click();
+});
+
+noticeBtn.addEventListener('click', async () => {
+  const message = noticeInput.value.trim();
+  if (!message) return;
+  const result = await api('POST', '/broadcast', { message });
+  if (result) {
+    noticeInput.value = '';
+    showMessage('Notice sent to ' + result.recipients + ' connected sockets.');
+  }
+});
+
+// --- API ---
+async function api(method, url, body) {
+  try {
+    const res = await fetch('/admin/api' + url, {
+      method,
+      headers: {
+        'Authorization': 'Bearer ' + tokenInput.value,
+        'Content-Type': 'application/json',
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      showMessage(data.error || 'Request failed (HTTP ' + res.status + ').', true);
+      return null;
+    }
+    return data;
+  } catch (e) {
+    showMessage('Request failed: ' + e.message, true);
+    return null;
+  }
+}
+
+async function loadRooms() {
+  if (!tokenInput.value) return;
+  const data = await api('GET', '/rooms');
+  if (data) renderRooms(data.rooms);
+}
+
+async function closeRoom(code) {
+  if (!confirm('Close room ' + code + ' for everyone in it?')) return;
+  if (await api('DELETE', '/rooms/' + encodeURIComponent(code))) loadRooms();
+}
+
+async function kickSocket(id) {
+  if (!confirm('Kick socket ' + id + '?')) return;
+  if (await api('POST', '/sockets/' + encodeURIComponent(id) + '/kick')) loadRooms();
+}
+
+// --- Rendering ---
+// Room codes, listings and addresses come from users: textContent only
+function renderRooms(rooms) {
+  roomCount.textContent = rooms.length;
+  roomList.textContent = '';
+  for (const room of rooms) {
+    const section = document.createElement('div');
+    section.className = 'admin-room';
+
+    const title = document.createElement('h3');
+    title.textContent = room.code + ' — ' + room.members.length + '/' + room.capacity;
+    const close = document.createElement('button');
+    close.className = 'small';
+    close.textContent = 'Close';
+    close.addEventListener('click', () => closeRoom(room.code));
+    title.appendChild(close);
+    section.appendChild(title);
+
+    const flags = [];
+    if (room.locked) flags.push('locked');
+    if (room.hasPassword) flags.push('password');
+    if (room.listing) flags.push('public: ' + room.listing.game);
+    const meta = document.createElement('p');
+    meta.className = 'hint';
+    meta.textContent = 'Age ' + formatAge(room.ageMs) + ' · idle ' + formatAge(room.idleMs)
+                     + (flags.length ? ' · ' + flags.join(', ') : '');
+    section.appendChild(meta);
+
+    const list = document.createElement('ul');
+    for (const m of room.members) {
+      const li = document.createElement('li');
+      li.textContent = m.position + '. ' + m.ip + ' from ' + m.clientIP
+                     + (m.host ? ' (host)' : '') + (m.connected ? '' : ' (away)')
+                     + ' · ' + formatAge(m.ageMs);
+      const kick = document.createElement('button');
+      kick.className = 'small';
+      kick.textContent = 'Kick';
+      kick.addEventListener('click', () => kickSocket(m.socketId));
+      li.appendChild(kick);
+      list.appendChild(li);
+    }
+    for (const w of room.waitlist || []) {
+      const li = document.createElement('li');
+      li.textContent = 'In line ' + w.position + '. from ' + w.clientIP + ' · ' + formatAge(w.ageMs);
+      const kick = document.createElement('button');
+      kick.className = 'small';
+      kick.textContent = 'Kick';
+      kick.addEventListener('click', () => kickSocket(w.socketId));
+      li.appendChild(kick);
+      list.appendChild(li);
+    }
+    section.appendChild(list);
+    roomList.appendChild(section);
+  }
+}
+
+// --- Helpers ---
+function formatAge(ms) {
+  const mins = Math.floor(ms / 60000);
+  if (mins < 1) return Math.floor(ms / 1000) + 's';
+  if (mins < 60) return mins + 'm';
+  return Math.floor(mins / 60) + 'h ' + (mins % 60) + 'm';
+}
+
+function showMessage(msg, isError) {
+  adminMsg.textContent = msg;
+  adminMsg.classList.toggle('error', !!isError);
+  adminMsg.classList.remove('hidden');
+}
+
+loadRooms();
+setInterval(loadRooms, REFRESH_MS);
@@ -4,16 +4,66 @@
  * Demonstrates the Socket.io room API. Replace this with your own UI.
  *
  * Server events (incoming):
- *   room-joined    { code, assignedIP, playerCount, position }
+ *   server-info    { maxCapacity }
+ *   room-joined    { code, assignedIP, network: { subnet, gateway, mtu }, playerCount, position,
+ *                    capacity, relay, token, resumed?, promoted? }
+ *                  (network: what goes on the Switch besides assignedIP;
+ *                  promoted: we were given a seat off the waitlist)
+ *   waitlist       { code, position, length }   (the room was full; we're queued)
  *   room-full      { message }
  *   room-error     { message }
- *   partner-joined { assignedIP, playerCount }
- *   partner-left   { assignedIP, playerCount }
+ *   room-locked    { message }
+ *   rate-limited   { reason, message, retryAfterMs }
+ *                  (reason: banned | join-rate | create-rate | room-cap)
+ *   room-password  { message }
+ *   lobby          { rooms: [{ code, game, description, playerCount, capacity, created }] }
+ *   roster         { capacity, playerCount, locked, hasPassword, allReady, waiting, remainingMs,
+ *                    members: [{ position, ip, connected, host,
+ *                                ready: { launcher, lanPlay, switchConfigured } }] }
+ *   chat           { from, text, at }       (from is the sender's IP)
+ *   chat-history   { messages: [{ from, text, at }] }
+ *   chat-error     { message }
+ *   host-error     { message }
+ *   kicked         { message }
+ *   resume-failed  { message }
+ *   room-expiry    { remainingMs, warning }   (time until an idle room closes; warning
+ *                  when it's close. Sent whenever activity pushed it back.)
  *   room-expired
+ *   maintenance    { message }   (admin broadcast)
  *
  * Client events (outgoing):
- *   join-room  { code }
- *   leave-room
+ *   join-room       { code, capacity?, password?, public?, game?, description?, existing? }
+ *                   (everything but code and password only applies when creating;
+ *                   existing: fail instead of creating the room, for room links and the lobby)
+ *   create-room     { capacity?, password?, public?, game?, description? }
+ *                   (new room under a code the server picks; answered with room-joined)
+ *   resume-session  { token }
+ *   lobby-subscribe / lobby-unsubscribe
+ *   ready-state     { launcher, lanPlay, switchConfigured }
+ *   chat-message    { text }
+ *   extend-room                  (push room expiry back)
+ *   tunnel-activity              (our launcher saw Switch traffic; counts as activity)
+ *   kick-player     { ip }       (host only)
+ *   lock-room       { locked }   (host only)
+ *   leave-room      (also leaves a waitlist)
+ *
+ * Local launcher (ws://localhost:25190):
+ *   incoming  status { running, stopped, interface, lanPlayOptions, relay, relayChoice,
+ *                      platform, version,
+ *                      crashed: { exitCode, error, failures, hint, lastLines } | null,
+ *                      relays: [{ relay, reachable, rttMs, error }],
+ *                      tunnel: { relay, pingMs, interface, clients, packets } },
+ *             heartbeat-ack, authed, pair-required, paired { token },
+ *             pair-failed { message }, command-result { id, command, ok, data?, error? },
+ *             shutdown { reason }
+ *   outgoing  heartbeat, status, auth { token }, pair { code },
+ *             command { id, command, args }
+ *   commands  restart, stop, set-relay { relay | 'auto' }, probe-relays,
+ *             room-relay { relay | null } (relay the server assigned our room),
+ *             list-interfaces -> { interfaces: [{ name, description, ips }], current },
+ *             set-interface { name | null }, logs { limit },
+ *             doctor { ip?, network? } -> { ok, checks: [{ id, title, status, detail, hint }], ... }
+ *             (status: pass | warn | fail | skip)
  */
 
 const socket = io();
@@ -23,61 +73,908 @@ const viewEntry  = document.getElementById('view-entry');
 const viewRoom   = document.getElementById('view-room');
 const roomInput  = document.getElementById('room-input');
 const joinBtn    = document.getElementById('join-btn');
+const createBtn  = document.getElementById('create-btn');
+const codeHint   = document.getElementById('code-hint');
+const roomLink   = document.getElementById('room-link');
+const copyLinkBtn = document.getElementById('copy-link-btn');
 const leaveBtn   = document.getElementById('leave-btn');
 const errorMsg   = document.getElementById('error-msg');
 const roomCode   = document.getElementById('room-code');
 const roomStatus = document.getElementById('room-status');
+const notice     = document.getElementById('notice');
 const assignedIp = document.getElementById('assigned-ip');
+const capacityInput = document.getElementById('capacity-input');
+const rosterList    = document.getElementById('roster');
+const passwordInput = document.getElementById('password-input');
+const hostControls  = document.getElementById('host-controls');
+const passwordNote  = document.getElementById('room-password-note');
+const lockBtn       = document.getElementById('lock-btn');
+const publicInput   = document.getElementById('public-input');
+const listingFields = document.getElementById('listing-fields');
+const gameInput     = document.getElementById('game-input');
+const descInput     = document.getElementById('description-input');
+const lobbyList     = document.getElementById('lobby');
+const lobbyEmpty    = document.getElementById('lobby-empty');
+const switchReady   = document.getElementById('switch-ready');
+const chatLog       = document.getElementById('chat-log');
+const chatInput     = document.getElementById('chat-input');
+const chatSend      = document.getElementById('chat-send');
+const launcherStatus  = document.getElementById('launcher-status');
+const launcherDetails = document.getElementById('launcher-details');
+const relayPicker   = document.getElementById('relay-picker');
+const relaySelect   = document.getElementById('relay-select');
+const relayProbeBtn = document.getElementById('relay-probe-btn');
+const interfacePicker = document.getElementById('interface-picker');
+const interfaceSelect = document.getElementById('interface-select');
+const pairingForm   = document.getElementById('launcher-pairing');
+const pairingInput  = document.getElementById('pairing-input');
+const pairingBtn    = document.getElementById('pairing-btn');
+const restartBtn    = document.getElementById('launcher-restart-btn');
+const expiryRow     = document.getElementById('room-expiry-row');
+const expiryText    = document.getElementById('room-expiry');
+const extendBtn     = document.getElementById('extend-btn');
+const waitlistPanel  = document.getElementById('waitlist-panel');
+const waitlistStatus = document.getElementById('waitlist-status');
+const waitlistLeave  = document.getElementById('waitlist-leave');
+const doctorBtn     = document.getElementById('doctor-btn');
+const doctorPanel   = document.getElementById('doctor-panel');
+const doctorReport  = document.getElementById('doctor-report');
+const doctorDownload = document.getElementById('doctor-download');
+const switchSummary = document.getElementById('switch-summary');
+const wizardBtn     = document.getElementById('wizard-btn');
+const wizardPanel   = document.getElementById('wizard');
+const wizardProgress = document.getElementById('wizard-progress');
+const wizardTitle   = document.getElementById('wizard-title');
+const wizardText    = document.getElementById('wizard-text');
+const wizardValues  = document.getElementById('wizard-values');
+const wizardBack    = document.getElementById('wizard-back');
+const wizardNext    = document.getElementById('wizard-next');
+const cardBtn       = document.getElementById('card-btn');
+const switchCard    = document.getElementById('switch-card');
+const cardRoom      = document.getElementById('card-room');
+const cardValues    = document.getElementById('card-values');
+const cardQr        = document.getElementById('card-qr');
+const cardPrint     = document.getElementById('card-print');
+const cardDownload  = document.getElementById('card-download');
+
+// Opened through a room link (/r/CODE): join that room once connected
+const linkMatch = location.pathname.match(/^\/r\/([^/]+)\/?$/);
+let linkCode = linkMatch ? decodeURIComponent(linkMatch[1]).toUpperCase() : null;
+if (linkCode) {
+  roomInput.value = linkCode;
+  // A refresh after leaving shouldn't join again
+  history.replaceState(null, '', '/');
+}
+
+// Codes people make up ("AB", "1234") are easy to guess and often already
+// taken by a stranger's room
+function isWeakCode(code) {
+  return code.length < 8 || /^(.)\1*$/.test(code) || /^\d+$/.test(code);
+}
+
+function roomSettings() {
+  return {
+    capacity: Number(capacityInput.value),
+    password: passwordInput.value,
+    public: publicInput.checked,
+    game: gameInput.value,
+    description: descInput.value,
+  };
+}
 
 // --- Actions ---
 joinBtn.addEventListener('click', () => {
   const code = roomInput.value.trim();
-  if (code) socket.emit('join-room', { code });
+  if (code) socket.emit('join-room', Object.assign({ code }, roomSettings()));
+});
+
+createBtn.addEventListener('click', () => {
+  socket.emit('create-room', roomSettings());
+});
+
+roomInput.addEventListener('input', () => {
+  const code = roomInput.value.trim();
+  codeHint.classList.toggle('hidden', !code || !isWeakCode(code));
+});
+
+copyLinkBtn.addEventListener('click', () => {
+  navigator.clipboard.writeText(roomLink.href).then(() => {
+    copyLinkBtn.textContent = 'Copied';
+    setTimeout(() => { copyLinkBtn.textContent = 'Copy'; }, 2000);
+  }, () => {
+    showError('Couldn\'t copy. Select the link and copy it by hand.');
+  });
+});
+
+publicInput.addEventListener('change', () => {
+  listingFields.classList.toggle('hidden', !publicInput.checked);
 });
 
 roomInput.addEventListener('keydown', (e) => {
   if (e.key === 'Enter') joinBtn.click();
 });
 
+passwordInput.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') joinBtn.click();
+});
+
+switchReady.addEventListener('change', () => {
+  updateReady({ switchConfigured: switchReady.checked });
+});
+
+chatSend.addEventListener('click', () => {
+  const text = chatInput.value.trim();
+  if (!text) return;
+  socket.emit('chat-message', { text });
+  chatInput.value = '';
+});
+
+chatInput.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') chatSend.click();
+});
+
+relaySelect.addEventListener('change', () => {
+  launcherCommand('set-relay', { relay: relaySelect.value });
+});
+
+interfaceSelect.addEventListener('change', () => {
+  launcherCommand('set-interface', { name: interfaceSelect.value || null });
+});
+
+relayProbeBtn.addEventListener('click', () => {
+  launcherCommand('probe-relays');
+});
+
+restartBtn.addEventListener('click', () => {
+  launcherCommand('restart');
+});
+
+doctorBtn.addEventListener('click', () => {
+  doctorBtn.disabled = true;
+  doctorBtn.textContent = 'Checking\u2026';
+  launcherCommand('doctor', myIP ? { ip: myIP, network: switchNetwork } : {});
+});
+
+pairingBtn.addEventListener('click', () => {
+  const code = pairingInput.value.trim();
+  if (code) sendLauncher({ type: 'pair', code });
+});
+
+pairingInput.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') pairingBtn.click();
+});
+
+lockBtn.addEventListener('click', () => {
+  socket.emit('lock-room', { locked: !roomLocked });
+});
+
+wizardBtn.addEventListener('click', () => {
+  wizardStep = 0;
+  renderWizard();
+  wizardPanel.classList.toggle('hidden');
+});
+
+wizardBack.addEventListener('click', () => {
+  wizardStep = Math.max(0, wizardStep - 1);
+  renderWizard();
+});
+
+// The last step doubles as ticking "My Switch is set up"
+wizardNext.addEventListener('click', () => {
+  if (wizardStep < WIZARD_STEPS.length - 1) {
+    wizardStep++;
+    renderWizard();
+    return;
+  }
+  wizardPanel.classList.add('hidden');
+  switchReady.checked = true;
+  updateReady({ switchConfigured: true });
+});
+
+cardBtn.addEventListener('click', () => {
+  switchCard.classList.toggle('hidden');
+});
+
+cardPrint.addEventListener('click', () => {
+  window.print();
+});
+
+extendBtn.addEventListener('click', () => {
+  socket.emit('extend-room');
+});
+
+waitlistLeave.addEventListener('click', () => {
+  socket.emit('leave-room');
+  waitlistPanel.classList.add('hidden');
+});
+
 leaveBtn.addEventListener('click', () => {
   socket.emit('leave-room');
+  clearSession();
   showEntry();
 });
 
 // --- Socket events ---
+// Our own address, so we can pick ourselves out of the roster
+let myIP = null;
+let roomLocked = false;
+// Relay the server pinned our room to (null if the server doesn't assign one)
+let roomRelay = null;
+// When the server will close the room if nobody does anything
+let roomExpiresAt = null;
+let roomExpiryWarning = false;
+
+function setRoomExpiry(remainingMs, warning) {
+  if (typeof remainingMs !== 'number') return;
+  roomExpiresAt = Date.now() + remainingMs;
+  roomExpiryWarning = !!warning;
+  renderRoomExpiry();
+}
+
+function renderRoomExpiry() {
+  expiryRow.classList.toggle('hidden', roomExpiresAt === null);
+  if (roomExpiresAt === null) return;
+  const secs = Math.max(0, Math.ceil((roomExpiresAt - Date.now()) / 1000));
+  const clock = Math.floor(secs / 60) + ':' + String(secs % 60).padStart(2, '0');
+  expiryText.textContent = roomExpiryWarning
+    ? 'No activity for a while \u2014 this room closes in ' + clock + '.'
+    : 'Closes after inactivity in ' + clock + '.';
+  expiryRow.classList.toggle('warn', roomExpiryWarning);
+}
+
+setInterval(() => {
+  if (roomExpiresAt !== null) renderRoomExpiry();
+}, 1000);
+
+socket.on('server-info', (data) => {
+  const selected = capacityInput.value || '2';
+  capacityInput.textContent = '';
+  for (let n = 2; n <= data.maxCapacity; n++) {
+    const opt = document.createElement('option');
+    opt.value = String(n);
+    opt.textContent = n + ' players';
+    capacityInput.appendChild(opt);
+  }
+  capacityInput.value = Number(selected) <= data.maxCapacity ? selected : '2';
+});
+
+// Fires on first connect and after every reconnect; reclaim our seat if we
+// had one (page refresh or network blip).
+socket.on('connect', () => {
+  const session = loadSession();
+  // A link to another room wins over the seat we had
+  if (session && (!linkCode || linkCode === session.code)) {
+    socket.emit('resume-session', { token: session.token });
+  } else {
+    socket.emit('lobby-subscribe');
+    if (linkCode) socket.emit('join-room', { code: linkCode, existing: true });
+  }
+  linkCode = null;
+});
+
+socket.on('disconnect', (reason) => {
+  // The server dropping us on purpose is the one case socket.io doesn't
+  // reconnect from
+  if (reason === 'io server disconnect') {
+    showError('The server closed the connection. Reload the page to reconnect.');
+    return;
+  }
+  if (loadSession()) roomStatus.textContent = 'Connection lost. Reconnecting\u2026';
+});
+
 socket.on('room-joined', (data) => {
+  waitlistPanel.classList.add('hidden');
+  saveSession({ code: data.code, token: data.token });
+  // A resumed seat keeps its IP, so the Switch is still configured for it
+  if (!data.resumed) {
+    switchReady.checked = false;
+    readyState.switchConfigured = false;
+  }
+  myIP = data.assignedIP;
+  switchNetwork = data.network;
+  roomRelay = data.relay || null;
+  if (roomRelay) launcherCommand('room-relay', { relay: roomRelay });
+  recheckRoomRelay();
   roomCode.textContent = data.code;
+  roomLink.href = location.origin + '/r/' + encodeURIComponent(data.code);
+  roomLink.textContent = roomLink.href;
   assignedIp.textContent = data.assignedIP;
-  roomStatus.textContent = 'Waiting for partner\u2026';
+  renderSwitchSetup();
+  roomStatus.textContent = 'Waiting for players\u2026';
   showRoom();
+  socket.emit('ready-state', readyState);
 });
 
-socket.on('room-full',  (data) => showError(data.message));
-socket.on('room-error', (data) => showError(data.message));
+socket.on('waitlist', (data) => {
+  waitlistStatus.textContent = 'Room ' + data.code + ' is full. You\'re #' + data.position + ' of ' + data.length
+    + ' in line and will join automatically when a seat opens.';
+  waitlistPanel.classList.remove('hidden');
+});
 
-socket.on('partner-joined', (data) => {
-  assignedIp.textContent = data.assignedIP;
-  roomStatus.textContent = 'Partner connected \u2014 ready to play!';
+socket.on('resume-failed', (data) => {
+  clearSession();
+  showEntry();
+  showError(data.message);
+});
+
+socket.on('room-full',   (data) => showError(data.message));
+socket.on('room-error',  (data) => showError(data.message));
+socket.on('room-locked', (data) => showError(data.message));
+socket.on('host-error',  (data) => showError(data.message));
+
+socket.on('rate-limited', (data) => {
+  const secs = Math.ceil(data.retryAfterMs / 1000);
+  showError(data.message + (secs > 0 ? ' (' + secs + 's)' : ''));
+});
+
+socket.on('room-password', (data) => {
+  showError(data.message);
+  passwordInput.focus();
 });
 
-socket.on('partner-left', () => {
-  roomStatus.textContent = 'Partner disconnected. Waiting\u2026';
+socket.on('kicked', (data) => {
+  waitlistPanel.classList.add('hidden');
+  clearSession();
+  showEntry();
+  showError(data.message);
+});
+
+socket.on('lobby', (data) => renderLobby(data.rooms));
+
+socket.on('chat-history', (data) => {
+  chatLog.textContent = '';
+  for (const m of data.messages) appendChat(m);
+});
+
+socket.on('chat', appendChat);
+socket.on('chat-error', (data) => showError(data.message));
+
+socket.on('roster', (data) => {
+  const me = data.members.find((m) => m.ip === myIP);
+  const isHost = !!(me && me.host);
+  roomLocked = data.locked;
+  hostControls.classList.toggle('hidden', !isHost);
+  passwordNote.classList.toggle('hidden', !data.hasPassword);
+  lockBtn.textContent = data.locked ? 'Unlock Room' : 'Lock Room';
+  renderRoster(data.members, isHost);
+  const away = data.members.filter((m) => !m.connected).length;
+  if (data.allReady) {
+    roomStatus.textContent = data.playerCount + '/' + data.capacity + ' players ready \u2014 ready to play!';
+  } else if (away > 0) {
+    roomStatus.textContent = (away === 1 ? 'A player is' : away + ' players are') + ' reconnecting\u2026';
+  } else if (data.playerCount >= 2) {
+    roomStatus.textContent = 'Waiting for everyone to finish setup\u2026';
+  } else {
+    roomStatus.textContent = 'Waiting for players (' + data.playerCount + '/' + data.capacity + ')\u2026';
+  }
+  if (data.waiting) roomStatus.textContent += ' \u00b7 ' + data.waiting + ' waiting for a seat';
+  setRoomExpiry(data.remainingMs, roomExpiryWarning);
+});
+
+socket.on('room-expiry', (data) => setRoomExpiry(data.remainingMs, data.warning));
+
+socket.on('maintenance', (data) => {
+  notice.textContent = data.message;
+  notice.classList.remove('hidden');
 });
 
 socket.on('room-expired', () => {
+  waitlistPanel.classList.add('hidden');
+  clearSession();
   showEntry();
   showError('Room expired due to inactivity.');
 });
 
+// --- Switch setup ---
+// The wizard and config card only show what room-joined gave us (our IP and
+// the server's network settings), so they can't drift from the server.
+let switchNetwork = null;
+let wizardStep = 0;
+
+const SETTING_LABELS = { ip: 'IP Address', subnet: 'Subnet Mask', gateway: 'Gateway', mtu: 'MTU' };
+
+// One step per Switch settings screen, in the order the Switch shows them
+const WIZARD_STEPS = [
+  {
+    title: 'Open Internet Settings',
+    text: 'On the Switch, go to System Settings > Internet > Internet Settings and wait for the list of networks.',
+  },
+  {
+    title: 'Pick your network',
+    text: 'Use the Wi-Fi network this PC is on. If it isn\'t under Registered Networks yet, connect to it once. Then select it there and choose Change Settings.',
+  },
+  {
+    title: 'IP Address Settings',
+    text: 'Set IP Address Settings to Manual, then enter:',
+    values: ['ip', 'subnet', 'gateway'],
+  },
+  {
+    title: 'MTU',
+    text: 'Scroll down to MTU and enter:',
+    values: ['mtu'],
+  },
+  {
+    title: 'Save and connect',
+    text: 'Choose Save, then Connect to This Network. Keep the launcher running while you play.',
+  },
+];
+
+function switchSettings() {
+  return Object.assign({ ip: myIP }, switchNetwork);
+}
+
+function fillSettings(list, keys) {
+  const settings = switchSettings();
+  list.textContent = '';
+  for (const key of keys) {
+    const dt = document.createElement('dt');
+    dt.textContent = SETTING_LABELS[key];
+    const dd = document.createElement('dd');
+    dd.textContent = String(settings[key]);
+    list.append(dt, dd);
+  }
+  list.classList.toggle('hidden', !keys.length);
+}
+
+function renderSwitchSetup() {
+  const s = switchSettings();
+  switchSummary.textContent = 'Configure your Switch to use this IP (subnet ' + s.subnet
+    + ', gateway ' + s.gateway + ', MTU ' + s.mtu + ').';
+  renderWizard();
+  renderSwitchCard();
+}
+
+function renderWizard() {
+  const step = WIZARD_STEPS[wizardStep];
+  wizardProgress.textContent = 'Step ' + (wizardStep + 1) + ' of ' + WIZARD_STEPS.length;
+  wizardTitle.textContent = step.title;
+  wizardText.textContent = step.text;
+  fillSettings(wizardValues, step.values || []);
+  wizardBack.disabled = wizardStep === 0;
+  wizardNext.textContent = wizardStep === WIZARD_STEPS.length - 1 ? 'My Switch is set up' : 'Next';
+}
+
+function renderSwitchCard() {
+  const s = switchSettings();
+  const code = roomCode.textContent;
+  const text = ['lan-play-bridge room ' + code]
+    .concat(Object.keys(SETTING_LABELS).map((key) => SETTING_LABELS[key] + ': ' + s[key]))
+    .join('\n');
+  cardRoom.textContent = code;
+  fillSettings(cardValues, Object.keys(SETTING_LABELS));
+  renderQr(cardQr, qrEncode(text));
+
+  if (cardDownload.href) URL.revokeObjectURL(cardDownload.href);
+  cardDownload.href = URL.createObjectURL(new Blob([text + '\n'], { type: 'text/plain' }));
+  cardDownload.download = 'switch-settings-' + code + '.txt';
+}
+
+// Dark modules as a single path, on white with the 4-module quiet zone
+// scanners expect
+function renderQr(container, modules) {
+  container.textContent = '';
+  if (!modules) return;
+  const ns = 'http://www.w3.org/2000/svg';
+  const n = modules.length + 8;
+  const svg = document.createElementNS(ns, 'svg');
+  svg.setAttribute('viewBox', '0 0 ' + n + ' ' + n);
+  svg.setAttribute('shape-rendering', 'crispEdges');
+  const background = document.createElementNS(ns, 'rect');
+  background.setAttribute('width', n);
+  background.setAttribute('height', n);
+  background.setAttribute('fill', '#fff');
+  let d = '';
+  modules.forEach((row, r) => row.forEach((dark, c) => {
+    if (dark) d += 'M' + (c + 4) + ' ' + (r + 4) + 'h1v1h-1z';
+  }));
+  const path = document.createElementNS(ns, 'path');
+  path.setAttribute('d', d);
+  path.setAttribute('fill', '#000');
+  svg.append(background, path);
+  container.appendChild(svg);
+}
+
+// --- Launcher ---
+// The launcher shuts itself down if heartbeats stop for 30s, so keep well
+// under that. Reconnect quietly so starting the launcher later is picked up.
+const LAUNCHER_URL = 'ws://localhost:25190';
+const LAUNCHER_HEARTBEAT_MS = 10 * 1000;
+const LAUNCHER_RETRY_MS = 5 * 1000;
+
+// Commands need pairing: the launcher prints a code once, we trade it for a
+// token and keep that for every later session
+const LAUNCHER_TOKEN_KEY = 'lan-play-bridge:launcher-token';
+
+let launcherWs = null;
+let launcherHeartbeat = null;
+let launcherStopped = false;
+let launcherAuthed = false;
+let launcherCommandId = 0;
+// Last status the launcher sent, checked again when the room's relay changes
+let launcherLastStatus = null;
+
+function connectLauncher() {
+  let ws;
+  try {
+    ws = new WebSocket(LAUNCHER_URL);
+  } catch (e) {
+    setTimeout(connectLauncher, LAUNCHER_RETRY_MS);
+    return;
+  }
+  launcherWs = ws;
+
+  ws.addEventListener('open', () => {
+    launcherStopped = false;
+    sendLauncher({ type: 'heartbeat' });
+    const token = localStorage.getItem(LAUNCHER_TOKEN_KEY);
+    if (token) {
+      sendLauncher({ type: 'auth', token });
+    } else {
+      pairingForm.classList.remove('hidden');
+    }
+    launcherHeartbeat = setInterval(() => sendLauncher({ type: 'heartbeat' }), LAUNCHER_HEARTBEAT_MS);
+  });
+
+  ws.addEventListener('message', (e) => {
+    let msg;
+    try {
+      msg = JSON.parse(e.data);
+    } catch (err) {
+      return; // ignore malformed messages
+    }
+    if (msg.type === 'status') {
+      launcherLastStatus = msg.data;
+      renderLauncherStatus(msg.data);
+      updateReady({ launcher: true, lanPlay: lanPlayReady(msg.data) });
+    } else if (msg.type === 'authed' || msg.type === 'paired') {
+      if (msg.token) localStorage.setItem(LAUNCHER_TOKEN_KEY, msg.token);
+      onLauncherAuthed();
+    } else if (msg.type === 'pair-required') {
+      localStorage.removeItem(LAUNCHER_TOKEN_KEY);
+      pairingForm.classList.remove('hidden');
+    } else if (msg.type === 'pair-failed') {
+      showError('Launcher: ' + msg.message);
+    } else if (msg.type === 'command-result') {
+      if (msg.command === 'doctor') resetDoctorBtn();
+      if (!msg.ok) showError('Launcher: ' + msg.error);
+      else if (msg.command === 'list-interfaces') renderInterfacePicker(msg.data);
+      else if (msg.command === 'doctor') renderDoctorReport(msg.data);
+    } else if (msg.type === 'shutdown') {
+      launcherStopped = true;
+      launcherLastStatus = null;
+      renderLauncherStopped(msg.reason);
+      updateReady({ launcher: false, lanPlay: false });
+    }
+  });
+
+  ws.addEventListener('close', () => {
+    clearInterval(launcherHeartbeat);
+    launcherHeartbeat = null;
+    launcherWs = null;
+    launcherAuthed = false;
+    launcherLastStatus = null;
+    pairingForm.classList.add('hidden');
+    restartBtn.classList.add('hidden');
+    doctorBtn.classList.add('hidden');
+    resetDoctorBtn();
+    interfacePicker.classList.add('hidden');
+    if (!launcherStopped) renderLauncherMissing();
+    updateReady({ launcher: false, lanPlay: false });
+    setTimeout(connectLauncher, LAUNCHER_RETRY_MS);
+  });
+}
+
+function sendLauncher(obj) {
+  if (launcherWs && launcherWs.readyState === WebSocket.OPEN) {
+    launcherWs.send(JSON.stringify(obj));
+  }
+}
+
+// Dropped until we're paired; onLauncherAuthed() re-sends what matters
+function launcherCommand(command, args) {
+  if (!launcherAuthed) return;
+  sendLauncher({ type: 'command', id: ++launcherCommandId, command, args: args || {} });
+}
+
+// lan-play only counts as running once it's on the room's relay
+function lanPlayReady(status) {
+  return !!status.running && (!roomRelay || status.relay === roomRelay);
+}
+
+// The room's relay changed: show and report whether lan-play is on it
+function recheckRoomRelay() {
+  if (!launcherLastStatus) return;
+  renderLauncherStatus(launcherLastStatus);
+  updateReady({ lanPlay: lanPlayReady(launcherLastStatus) });
+}
+
+function onLauncherAuthed() {
+  launcherAuthed = true;
+  pairingForm.classList.add('hidden');
+  pairingInput.value = '';
+  restartBtn.classList.remove('hidden');
+  doctorBtn.classList.remove('hidden');
+  if (roomRelay) launcherCommand('room-relay', { relay: roomRelay });
+  launcherCommand('list-interfaces');
+  recheckRoomRelay();
+}
+
+// Last Switch traffic the launcher reported; forwarded to the server so a
+// room that's busy playing doesn't look idle
+let lastTunnelTraffic = 0;
+
+function renderLauncherStatus(status) {
+  const traffic = status.tunnel && status.tunnel.lastTrafficAt;
+  if (traffic && traffic !== lastTunnelTraffic) {
+    lastTunnelTraffic = traffic;
+    if (myIP) socket.emit('tunnel-activity');
+  }
+  const offRoomRelay = roomRelay && status.relay !== roomRelay;
+  launcherStatus.textContent = status.running ? (offRoomRelay ? 'lan-play running on another relay' : 'lan-play running')
+    : status.crashed ? 'lan-play keeps crashing'
+    : status.stopped ? 'lan-play stopped' : 'lan-play not running';
+  // The launcher has given up restarting; the hint is what the user can fix
+  const crashed = !status.running && status.crashed
+    ? status.crashed.hint + ' Use "Restart lan-play" once that\'s fixed. \u2014 ' : '';
+  // Partners on different relays can't see each other, and only a paired
+  // launcher takes room-relay
+  const offRelay = offRoomRelay
+    ? (launcherAuthed ? 'Switching to this room\'s relay ' + roomRelay + '\u2026 '
+      : 'This room uses relay ' + roomRelay + '. Pair the launcher with the code in its window so it can switch; until then your partners can\'t see you. ')
+      + '\u2014 '
+    : '';
+  launcherDetails.textContent = crashed + offRelay + describeTunnel(status) + 'Relay ' + status.relay
+    + (status.relayChoice === 'room' ? ' (assigned to this room)' : '')
+    + ' \u00b7 lan-play v' + status.version + ' \u00b7 ' + status.platform;
+  launcherDetails.classList.remove('hidden');
+  renderRelayPicker(status);
+}
+
+// Only worth showing when the launcher has more than one relay to pick from
+function renderRelayPicker(status) {
+  // The room's relay wins while we're in one, so there's nothing to pick
+  const relays = status.relayChoice === 'room' ? [] : status.relays || [];
+  relayPicker.classList.toggle('hidden', relays.length < 2);
+  if (relays.length < 2) return;
+
+  relaySelect.textContent = '';
+  const auto = document.createElement('option');
+  auto.value = 'auto';
+  auto.textContent = 'Fastest relay (' + status.relay + ')';
+  relaySelect.appendChild(auto);
+  for (const r of relays) {
+    const opt = document.createElement('option');
+    opt.value = r.relay;
+    opt.textContent = r.relay + (r.reachable ? ' \u2014 ' + r.rttMs + ' ms'
+                                : r.reachable === false ? ' \u2014 unreachable' : '');
+    relaySelect.appendChild(opt);
+  }
+  relaySelect.value = status.relayChoice === 'manual' ? status.relay : 'auto';
+}
+
+// Names are what lan-play --netif expects; descriptions ("Wi-Fi") and IPs
+// are there so people can tell the cryptic Windows device names apart
+function renderInterfacePicker(data) {
+  const interfaces = data.interfaces || [];
+  interfacePicker.classList.toggle('hidden', interfaces.length === 0);
+  if (!interfaces.length) return;
+
+  interfaceSelect.textContent = '';
+  const auto = document.createElement('option');
+  auto.value = '';
+  auto.textContent = 'Automatic interface';
+  interfaceSelect.appendChild(auto);
+  for (const i of interfaces) {
+    const opt = document.createElement('option');
+    opt.value = i.name;
+    opt.textContent = (i.description || i.name) + (i.ips.length ? ' \u2014 ' + i.ips.join(', ') : '');
+    interfaceSelect.appendChild(opt);
+  }
+  // A saved interface lan-play no longer lists still gets shown as selected
+  if (data.current && !interfaces.some((i) => i.name === data.current)) {
+    const opt = document.createElement('option');
+    opt.value = data.current;
+    opt.textContent = data.current + ' (not found)';
+    interfaceSelect.appendChild(opt);
+  }
+  interfaceSelect.value = data.current || '';
+}
+
+function resetDoctorBtn() {
+  doctorBtn.disabled = false;
+  doctorBtn.textContent = 'Check connection';
+}
+
+// Listed in the order the launcher ran them, so a relay failure shows up
+// before the traffic check that depends on it
+function renderDoctorReport(report) {
+  doctorReport.textContent = '';
+  for (const c of report.checks) {
+    const li = document.createElement('li');
+    li.className = c.status;
+    li.textContent = c.status.toUpperCase() + ' \u00b7 ' + c.title + ': ' + c.detail
+      + (c.hint ? ' \u2014 ' + c.hint : '');
+    doctorReport.appendChild(li);
+  }
+  if (doctorDownload.href) URL.revokeObjectURL(doctorDownload.href);
+  doctorDownload.href = URL.createObjectURL(
+    new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' }));
+  doctorPanel.classList.remove('hidden');
+}
+
+// Tunnel health as parsed by the launcher; fields lan-play hasn't reported
+// yet are null and skipped
+function describeTunnel(status) {
+  const t = status.tunnel;
+  if (!status.running || !t) return '';
+  const parts = [];
+  if (t.relay === 'connected') {
+    parts.push('Relay connected' + (t.pingMs !== null ? ' (' + t.pingMs + ' ms)' : ''));
+  } else if (t.relay === 'disconnected') {
+    parts.push('Relay unreachable');
+  } else {
+    parts.push('Waiting for relay\u2026');
+  }
+  if (t.interface) parts.push('interface ' + t.interface);
+  if (t.clients !== null) parts.push(t.clients + ' client' + (t.clients === 1 ? '' : 's'));
+  if (t.packets !== null) parts.push(t.packets + ' packets');
+  return parts.join(' \u00b7 ') + ' \u2014 ';
+}
+
+function renderLauncherMissing() {
+  relayPicker.classList.add('hidden');
+  interfacePicker.classList.add('hidden');
+  launcherStatus.textContent = 'Not detected';
+  launcherDetails.textContent = 'Start the lan-play-bridge launcher on this PC. This page will pick it up automatically.';
+  launcherDetails.classList.remove('hidden');
+}
+
+function renderLauncherStopped(reason) {
+  relayPicker.classList.add('hidden');
+  interfacePicker.classList.add('hidden');
+  launcherStatus.textContent = 'Stopped';
+  launcherDetails.textContent = 'The launcher shut down' + (reason ? ' (' + reason + ')' : '') + '. Start it again to reconnect.';
+  launcherDetails.classList.remove('hidden');
+}
+
+connectLauncher();
+
+// --- Ready check ---
+// Our own checks, reported to the server whenever one changes. The order
+// matters: it's the order a player gets unstuck in.
+const READY_STEPS = [
+  ['launcher', 'launcher not detected'],
+  ['lanPlay', 'lan-play not running'],
+  ['switchConfigured', 'Switch not configured'],
+];
+
+const readyState = { launcher: false, lanPlay: false, switchConfigured: false };
+
+function updateReady(patch) {
+  let changed = false;
+  for (const key of Object.keys(patch)) {
+    if (readyState[key] !== patch[key]) {
+      readyState[key] = patch[key];
+      changed = true;
+    }
+  }
+  if (changed && myIP) socket.emit('ready-state', readyState);
+}
+
+// First step a member hasn't passed, or null if they're all done
+function stuckStep(ready) {
+  const step = READY_STEPS.find(([key]) => !ready[key]);
+  return step ? step[1] : null;
+}
+
+// --- Session ---
+// sessionStorage survives a refresh but is per-tab, so two tabs never fight
+// over the same seat.
+const SESSION_KEY = 'lan-play-bridge:session';
+
+function loadSession() {
+  try {
+    return JSON.parse(sessionStorage.getItem(SESSION_KEY));
+  } catch (e) {
+    return null;
+  }
+}
+
+function saveSession(session) {
+  sessionStorage.setItem(SESSION_KEY, JSON.stringify(session));
+}
+
+function clearSession() {
+  sessionStorage.removeItem(SESSION_KEY);
+}
+
 // --- Helpers ---
+function renderRoster(members, isHost) {
+  rosterList.textContent = '';
+  for (const m of members) {
+    const li = document.createElement('li');
+    let label = 'Player ' + m.position + ' \u2014 ' + m.ip;
+    if (m.host) label += ' (host)';
+    if (m.ip === myIP) label += ' (you)';
+    if (!m.connected) {
+      label += ' (reconnecting\u2026)';
+    } else {
+      const stuck = stuckStep(m.ready);
+      label += stuck ? ' \u2014 waiting: ' + stuck : ' \u2014 ready';
+    }
+    li.textContent = label;
+    if (isHost && m.ip !== myIP) {
+      const kick = document.createElement('button');
+      kick.className = 'small';
+      kick.textContent = 'Kick';
+      kick.addEventListener('click', () => socket.emit('kick-player', { ip: m.ip }));
+      li.appendChild(kick);
+    }
+    rosterList.appendChild(li);
+  }
+}
+
+// Chat text comes from other players: only ever set it via textContent
+function appendChat(m) {
+  const li = document.createElement('li');
+  const who = document.createElement('strong');
+  who.textContent = (m.from === myIP ? 'You' : m.from) + ': ';
+  li.appendChild(who);
+  li.appendChild(document.createTextNode(m.text));
+  li.title = new Date(m.at).toLocaleTimeString();
+  chatLog.appendChild(li);
+  chatLog.scrollTop = chatLog.scrollHeight;
+}
+
+function renderLobby(rooms) {
+  lobbyList.textContent = '';
+  for (const r of rooms) {
+    const li = document.createElement('li');
+    const title = document.createElement('strong');
+    title.textContent = r.game;
+    li.appendChild(title);
+    li.appendChild(document.createTextNode(' ' + r.playerCount + '/' + r.capacity + ' \u2014 ' + r.code));
+    const join = document.createElement('button');
+    join.className = 'small';
+    join.textContent = 'Join';
+    join.addEventListener('click', () => socket.emit('join-room', { code: r.code, existing: true }));
+    li.appendChild(join);
+    if (r.description) {
+      const desc = document.createElement('p');
+      desc.className = 'hint';
+      desc.textContent = r.description;
+      li.appendChild(desc);
+    }
+    lobbyList.appendChild(li);
+  }
+  lobbyEmpty.classList.toggle('hidden', rooms.length > 0);
+}
+
 function showEntry() {
   viewEntry.classList.remove('hidden');
   viewRoom.classList.add('hidden');
   errorMsg.classList.add('hidden');
   roomInput.value = '';
+  codeHint.classList.add('hidden');
+  passwordInput.value = '';
+  socket.emit('lobby-subscribe');
+  rosterList.textContent = '';
+  chatLog.textContent = '';
+  hostControls.classList.add('hidden');
+  wizardPanel.classList.add('hidden');
+  switchCard.classList.add('hidden');
+  myIP = null;
+  roomExpiresAt = null;
+  renderRoomExpiry();
+  if (roomRelay) {
+    launcherCommand('room-relay', { relay: null });
+    roomRelay = null;
+    recheckRoomRelay();
+  }
 }
 
 function showRoom() {
+  socket.emit('lobby-unsubscribe');
   viewEntry.classList.add('hidden');
   viewRoom.classList.remove('hidden');
   errorMsg.classList.add('hidden');
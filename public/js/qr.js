@@ -0,0 +1,280 @@
+/**
+ * lan-play-bridge — minimal QR code encoder
+ *
+ * Just enough of ISO/IEC 18004 for the Switch settings card: byte mode,
+ * error correction level M, versions 1-10 (up to 213 bytes of UTF-8). Keeps
+ * the frontend free of third-party scripts.
+ *
+ *   qrEncode(text)  ->  Array<Array<boolean>> (rows of modules, true = dark,
+ *                       no quiet zone), or null if text doesn't fit
+ */
+
+const qrEncode = (() => {
+  // Level M block structure per version:
+  // [EC codewords per block, [[block count, data codewords per block], ...]]
+  const BLOCKS = [null,
+    [10, [[1, 16]]],
+    [16, [[1, 28]]],
+    [26, [[1, 44]]],
+    [18, [[2, 32]]],
+    [24, [[2, 43]]],
+    [16, [[4, 27]]],
+    [18, [[4, 31]]],
+    [22, [[2, 38], [2, 39]]],
+    [22, [[3, 36], [2, 37]]],
+    [26, [[4, 43], [1, 44]]],
+  ];
+  const ALIGNMENT = [null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34],
+    [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]];
+  const MAX_VERSION = BLOCKS.length - 1;
+
+  // GF(256) with the QR polynomial x^8 + x^4 + x^3 + x^2 + 1
+  const EXP = new Array(512);
+  const LOG = new Array(256);
+  for (let i = 0, x = 1; i < 255; i++) {
+    EXP[i] = x;
+    LOG[x] = i;
+    x <<= 1;
+    if (x & 0x100) x ^= 0x11d;
+  }
+  for (let i = 255; i < 512; i++) EXP[i] = EXP[i - 255];
+  const mul = (a, b) => (a && b ? EXP[LOG[a] + LOG[b]] : 0);
+
+  function rsGenerator(degree) {
+    let poly = [1];
+    for (let i = 0; i < degree; i++) {
+      const next = new Array(poly.length + 1).fill(0);
+      for (let j = 0; j < poly.length; j++) {
+        next[j] ^= poly[j];
+        next[j + 1] ^= mul(poly[j], EXP[i]);
+      }
+      poly = next;
+    }
+    return poly;
+  }
+
+  function rsRemainder(data, degree) {
+    const gen = rsGenerator(degree);
+    const rem = new Array(degree).fill(0);
+    for (const byte of data) {
+      const factor = byte ^ rem.shift();
+      rem.push(0);
+      for (let i = 0; i < degree; i++) rem[i] ^= mul(gen[i + 1], factor);
+    }
+    return rem;
+  }
+
+  const dataCapacity = (version) => BLOCKS[version][1].reduce((n, [count, size]) => n + count * size, 0);
+  const countBits = (version) => (version < 10 ? 8 : 16);
+
+  // Data codewords with padding, split into blocks, EC added, interleaved
+  function codewords(bytes, version) {
+    const [ecLen, groups] = BLOCKS[version];
+    const capacity = dataCapacity(version);
+    const bits = [];
+    const put = (value, len) => {
+      for (let i = len - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+    put(0b0100, 4);
+    put(bytes.length, countBits(version));
+    bytes.forEach((b) => put(b, 8));
+    put(0, Math.min(4, capacity * 8 - bits.length));
+    while (bits.length % 8) bits.push(0);
+
+    const data = [];
+    for (let i = 0; i < bits.length; i += 8) data.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+    for (let pad = 0xec; data.length < capacity; pad ^= 0xec ^ 0x11) data.push(pad);
+
+    const blocks = [];
+    let offset = 0;
+    for (const [count, size] of groups) {
+      for (let i = 0; i < count; i++) {
+        const block = data.slice(offset, offset + size);
+        offset += size;
+        blocks.push({ data: block, ec: rsRemainder(block, ecLen) });
+      }
+    }
+    const out = [];
+    const longest = Math.max(...blocks.map((b) => b.data.length));
+    for (let i = 0; i < longest; i++) {
+      blocks.forEach((b) => { if (i < b.data.length) out.push(b.data[i]); });
+    }
+    for (let i = 0; i < ecLen; i++) blocks.forEach((b) => out.push(b.ec[i]));
+    return out;
+  }
+
+  // Finder, timing and alignment patterns plus the data, unmasked. Format
+  // and version areas are reserved here and filled in per mask.
+  function layout(version, words) {
+    const size = version * 4 + 17;
+    const dark = Array.from({ length: size }, () => new Array(size).fill(false));
+    const fixed = Array.from({ length: size }, () => new Array(size).fill(false));
+    const set = (r, c, value) => {
+      dark[r][c] = value;
+      fixed[r][c] = true;
+    };
+
+    for (const [r0, c0] of [[0, 0], [0, size - 7], [size - 7, 0]]) {
+      for (let r = -1; r <= 7; r++) {
+        for (let c = -1; c <= 7; c++) {
+          if (r0 + r < 0 || r0 + r >= size || c0 + c < 0 || c0 + c >= size) continue;
+          const ring = Math.max(Math.abs(r - 3), Math.abs(c - 3));
+          set(r0 + r, c0 + c, ring !== 2 && ring !== 4);
+        }
+      }
+    }
+
+    const centers = ALIGNMENT[version];
+    const last = centers[centers.length - 1];
+    for (const r of centers) {
+      for (const c of centers) {
+        if ((r === 6 && c === 6) || (r === 6 && c === last) || (r === last && c === 6)) continue;
+        for (let dr = -2; dr <= 2; dr++) {
+          for (let dc = -2; dc <= 2; dc++) set(r + dr, c + dc, Math.max(Math.abs(dr), Math.abs(dc)) !== 1);
+        }
+      }
+    }
+
+    for (let i = 8; i < size - 8; i++) {
+      if (!fixed[6][i]) set(6, i, i % 2 === 0);
+      if (!fixed[i][6]) set(i, 6, i % 2 === 0);
+    }
+
+    // Reserve format and version areas (values come later)
+    for (let i = 0; i < 9; i++) {
+      fixed[8][i] = fixed[i][8] = true;
+      if (i < 8) fixed[8][size - 1 - i] = fixed[size - 1 - i][8] = true;
+    }
+    if (version >= 7) {
+      for (let i = 0; i < 18; i++) {
+        const a = size - 11 + (i % 3);
+        const b = Math.floor(i / 3);
+        fixed[a][b] = fixed[b][a] = true;
+      }
+    }
+
+    // Two-module columns from the right, zigzagging up and down, skipping
+    // the vertical timing column
+    let bit = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      const upward = ((right + 1) & 2) === 0;
+      for (let v = 0; v < size; v++) {
+        const r = upward ? size - 1 - v : v;
+        for (let j = 0; j < 2; j++) {
+          const c = right - j;
+          if (fixed[r][c]) continue;
+          if (bit < words.length * 8) dark[r][c] = ((words[bit >>> 3] >>> (7 - (bit & 7))) & 1) === 1;
+          bit++;
+        }
+      }
+    }
+    return { size, dark, fixed };
+  }
+
+  const MASKS = [
+    (r, c) => (r + c) % 2 === 0,
+    (r) => r % 2 === 0,
+    (r, c) => c % 3 === 0,
+    (r, c) => (r + c) % 3 === 0,
+    (r, c) => (Math.floor(r / 2) + Math.floor(c / 3)) % 2 === 0,
+    (r, c) => ((r * c) % 2) + ((r * c) % 3) === 0,
+    (r, c) => (((r * c) % 2) + ((r * c) % 3)) % 2 === 0,
+    (r, c) => (((r + c) % 2) + ((r * c) % 3)) % 2 === 0,
+  ];
+
+  function applyMask({ size, dark, fixed }, version, mask) {
+    const m = dark.map((row) => row.slice());
+    for (let r = 0; r < size; r++) {
+      for (let c = 0; c < size; c++) {
+        if (!fixed[r][c] && MASKS[mask](r, c)) m[r][c] = !m[r][c];
+      }
+    }
+
+    // Level M is 00, so the format data is just the mask number
+    let rem = mask;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    const format = ((mask << 10) | rem) ^ 0x5412;
+    const fbit = (i) => ((format >>> i) & 1) === 1;
+    for (let i = 0; i <= 5; i++) m[i][8] = fbit(i);
+    m[7][8] = fbit(6);
+    m[8][8] = fbit(7);
+    m[8][7] = fbit(8);
+    for (let i = 9; i < 15; i++) m[8][14 - i] = fbit(i);
+    for (let i = 0; i < 8; i++) m[8][size - 1 - i] = fbit(i);
+    for (let i = 8; i < 15; i++) m[size - 15 + i][8] = fbit(i);
+    m[size - 8][8] = true;
+
+    if (version >= 7) {
+      let vrem = version;
+      for (let i = 0; i < 12; i++) vrem = (vrem << 1) ^ ((vrem >>> 11) * 0x1f25);
+      const info = (version << 12) | vrem;
+      for (let i = 0; i < 18; i++) {
+        const a = size - 11 + (i % 3);
+        const b = Math.floor(i / 3);
+        m[a][b] = m[b][a] = ((info >>> i) & 1) === 1;
+      }
+    }
+    return m;
+  }
+
+  // The spec's penalty rules: long runs, 2x2 blocks, finder look-alikes and
+  // dark/light imbalance. The mask with the lowest score scans best.
+  function penalty(m) {
+    const size = m.length;
+    let score = 0;
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+      lines.push(m[i]);
+      lines.push(m.map((row) => row[i]));
+    }
+    const finder = [true, false, true, true, true, false, true];
+    for (const line of lines) {
+      let run = 1;
+      for (let i = 1; i <= size; i++) {
+        if (i < size && line[i] === line[i - 1]) {
+          run++;
+        } else {
+          if (run >= 5) score += run - 2;
+          run = 1;
+        }
+      }
+      for (let i = 0; i + 7 <= size; i++) {
+        if (!finder.every((v, k) => line[i + k] === v)) continue;
+        const quietBefore = [1, 2, 3, 4].every((k) => i - k >= 0 && !line[i - k]);
+        const quietAfter = [0, 1, 2, 3].every((k) => i + 7 + k < size && !line[i + 7 + k]);
+        if (quietBefore || quietAfter) score += 40;
+      }
+    }
+    let darkCount = 0;
+    for (let r = 0; r < size; r++) {
+      for (let c = 0; c < size; c++) {
+        if (m[r][c]) darkCount++;
+        if (r + 1 < size && c + 1 < size && m[r][c] === m[r][c + 1]
+          && m[r][c] === m[r + 1][c] && m[r][c] === m[r + 1][c + 1]) score += 3;
+      }
+    }
+    score += 10 * Math.floor(Math.abs(darkCount * 100 / (size * size) - 50) / 5);
+    return score;
+  }
+
+  return function qrEncode(text) {
+    const bytes = Array.from(new TextEncoder().encode(text));
+    let version = 1;
+    while (version <= MAX_VERSION && 4 + countBits(version) + bytes.length * 8 > dataCapacity(version) * 8) version++;
+    if (version > MAX_VERSION) return null;
+
+    const base = layout(version, codewords(bytes, version));
+    let best = null;
+    let bestScore = Infinity;
+    for (let mask = 0; mask < MASKS.length; mask++) {
+      const m = applyMask(base, version, mask);
+      const score = penalty(m);
+      if (score < bestScore) {
+        best = m;
+        bestScore = score;
+      }
+    }
+    return best;
+  };
+})();
@@ -0,0 +1,56 @@
+/**
+ * lan-play-bridge — room codes made by the server
+ *
+ * Three short words and two digits, e.g. MAPLE-OTTER-CLOUD-42. Easy to read
+ * out over voice chat or type on a phone, and with 256^3 * 100 (about 2^31)
+ * possibilities, nobody finds a room by guessing at the join rate limit.
+ * Fits the 20-character limit on codes.
+ */
+
+const crypto = require('crypto');
+
+// 256 everyday words of three to five letters
+const WORDS = [
+  'ACORN', 'AMBER', 'BEAN', 'APPLE', 'ARROW', 'ASPEN', 'ATLAS', 'BADGE',
+  'BAKER', 'BASIL', 'BEACH', 'BERRY', 'BIRCH', 'BISON', 'BLAZE', 'BLOOM',
+  'BOLT', 'BRAVE', 'BREAD', 'BRICK', 'BROOK', 'BRUSH', 'CABIN', 'CACTI',
+  'CAMEL', 'CANDY', 'CANOE', 'CARGO', 'CEDAR', 'CHALK', 'CHARM', 'CHESS',
+  'CHILI', 'CIDER', 'CLIFF', 'CLOUD', 'CLUE', 'COAST', 'COBRA', 'COCOA',
+  'CORAL', 'CRANE', 'CREEK', 'CROWN', 'DAISY', 'DELTA', 'DINGO', 'DRIFT',
+  'DUNE', 'EAGLE', 'EMBER', 'FABLE', 'FUDGE', 'FERN', 'FIELD', 'FLAME',
+  'FLINT', 'FLUTE', 'FROST', 'GECKO', 'GHOST', 'GLADE', 'GLOBE', 'GRAPE',
+  'GROVE', 'GUSTO', 'HATCH', 'HAZEL', 'HERON', 'HONEY', 'IGLOO', 'IVORY',
+  'JADE', 'JELLY', 'JEWEL', 'KAYAK', 'KOALA', 'LANCE', 'LARK', 'LEMON',
+  'LILAC', 'LLAMA', 'LOTUS', 'LUNAR', 'MANGO', 'MAPLE', 'MARSH', 'MAIZE',
+  'MELON', 'MINT', 'MOOSE', 'MOSS', 'NOBLE', 'NORTH', 'OAK', 'OASIS',
+  'OCEAN', 'OLIVE', 'ONYX', 'OPAL', 'ORBIT', 'OTTER', 'PANDA', 'PAPER',
+  'PEACH', 'PEARL', 'PECAN', 'PILOT', 'PINE', 'PIXEL', 'PLUM', 'POLAR',
+  'POPPY', 'PRISM', 'QUAIL', 'QUEST', 'RADAR', 'RAVEN', 'REEF', 'RIDGE',
+  'RIVER', 'ROBIN', 'ROCKY', 'ROVER', 'RUBY', 'SABLE', 'SAGE', 'SALSA',
+  'SANDY', 'SCOUT', 'SHELL', 'SHORE', 'SILK', 'SLATE', 'SOLAR', 'SPARK',
+  'SPICE', 'SPOON', 'STONE', 'STORM', 'SUGAR', 'SWIFT', 'TANGO', 'TIGER',
+  'TOAST', 'TOPAZ', 'TORCH', 'TRAIL', 'TULIP', 'TULLE', 'VAULT', 'VENUS',
+  'VIOLA', 'VIVID', 'WAFER', 'WALTZ', 'WAVE', 'WHALE', 'WHEAT', 'WREN',
+  'YACHT', 'ZEBRA', 'ZEST', 'BANJO', 'BEAR', 'BELL', 'BLUFF', 'BOAT',
+  'BRAID', 'BUNNY', 'CAPE', 'CAVE', 'CHIME', 'CLAY', 'COMET', 'COVE',
+  'CRISP', 'CUBE', 'DAWN', 'DEER', 'DOVE', 'DUSK', 'ECHO', 'ELM',
+  'FAWN', 'FIG', 'FINCH', 'FJORD', 'FOX', 'GALE', 'GEM', 'GOOSE',
+  'HAWK', 'HILL', 'HIVE', 'IRIS', 'ISLE', 'JAY', 'KELP', 'KITE',
+  'KIWI', 'LAKE', 'LEAF', 'LIME', 'LYNX', 'MESA', 'MIST', 'MOON',
+  'MOTH', 'NEST', 'NOVA', 'OWL', 'PALM', 'PEAK', 'PEAR', 'POND',
+  'PUMA', 'RAIN', 'REED', 'ROSE', 'SEAL', 'SNOW', 'SOUP', 'STAR',
+  'SWAN', 'TEA', 'TIDE', 'TOAD', 'TREE', 'VINE', 'WOLF', 'YAK',
+  'YETI', 'ZINC', 'BAY', 'BEE', 'CLAM', 'CROW', 'DUCK', 'ELK',
+  'FROG', 'GOAT', 'HARE', 'LION', 'MOLE', 'NEWT', 'ORCA', 'RAM',
+  'SOFA', 'TACO', 'WASP', 'YARN', 'BEAM', 'CORN', 'DART', 'DRUM',
+];
+
+function generateRoomCode(taken) {
+  for (;;) {
+    const words = [0, 1, 2].map(() => WORDS[crypto.randomInt(WORDS.length)]);
+    const code = words.join('-') + '-' + String(crypto.randomInt(100)).padStart(2, '0');
+    if (!taken.has(code)) return code;
+  }
+}
+
+module.exports = { generateRoomCode };
@@ -0,0 +1,78 @@
+/**
+ * lan-play-bridge — Prometheus metrics
+ *
+ * Just enough of the Prometheus text exposition format for this server:
+ * unlabelled counters, gauges read at scrape time, and histograms. Keeps the
+ * server free of a metrics dependency.
+ */
+
+function createRegistry(prefix) {
+  const metrics = [];
+
+  function counter(name, help) {
+    let value = 0;
+    const metric = {
+      inc(n) { value += n === undefined ? 1 : n; },
+      render() {
+        return header(prefix + name, help, 'counter') + prefix + name + ' ' + value + '\n';
+      },
+    };
+    metrics.push(metric);
+    return metric;
+  }
+
+  // collect() is called on every scrape, so gauges never go stale
+  function gauge(name, help, collect) {
+    const metric = {
+      render() {
+        return header(prefix + name, help, 'gauge') + prefix + name + ' ' + collect() + '\n';
+      },
+    };
+    metrics.push(metric);
+    return metric;
+  }
+
+  function histogram(name, help, buckets) {
+    const bounds = buckets.slice().sort((a, b) => a - b);
+    const counts = bounds.map(() => 0);
+    let sum = 0;
+    let count = 0;
+    const metric = {
+      observe(v) {
+        sum += v;
+        count++;
+        for (let i = 0; i < bounds.length; i++) {
+          if (v <= bounds[i]) counts[i]++;
+        }
+      },
+      render() {
+        const full = prefix + name;
+        let out = header(full, help, 'histogram');
+        for (let i = 0; i < bounds.length; i++) {
+          out += full + '_bucket{le="' + bounds[i] + '"} ' + counts[i] + '\n';
+        }
+        out += full + '_bucket{le="+Inf"} ' + count + '\n';
+        out += full + '_sum ' + sum + '\n';
+        out += full + '_count ' + count + '\n';
+        return out;
+      },
+    };
+    metrics.push(metric);
+    return metric;
+  }
+
+  function render() {
+    return metrics.map((m) => m.render()).join('');
+  }
+
+  return { counter, gauge, histogram, render };
+}
+
+function header(name, help, type) {
+  return '# HELP ' + name + ' ' + help + '\n# TYPE ' + name + ' ' + type + '\n';
+}
+
+// Content-Type Prometheus expects for the text format
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+module.exports = { createRegistry, CONTENT_TYPE };
@@ -4,13 +4,18 @@
  * Express serves static frontend from ../public.
  * Socket.io handles real-time room coordination (matchmaking).
  * The relay tunnel itself is handled by switch-lan-play on port 11451 —
- * this server only coordinates "are both players ready?"
+ * this server only coordinates "are both players ready?" and, when RELAYS is
+ * set, which relay each room's players should tunnel through.
  */
 
 const express = require('express');
 const http = require('http');
 const { Server } = require('socket.io');
 const path = require('path');
+const crypto = require('crypto');
+const { createRegistry, CONTENT_TYPE } = require('./metrics');
+const { createMemoryStore, createFileStore } = require('./store');
+const { generateRoomCode } = require('./codes');
 
 const app = express();
 const server = http.createServer(app);
@@ -25,161 +30,1428 @@ app.use(express.static(path.join(__dirname, '..', 'public')));
 
 // Health check endpoint (useful for monitoring / uptime checks)
 app.get('/health', (_req, res) => {
-  res.json({ status: 'ok', rooms: rooms.size, uptime: process.uptime() });
+  refreshRooms();
+  res.json({
+    status: 'ok',
+    rooms: rooms.size,
+    ipPool: { leased: ipLeases.size, capacity: IP_POOL_SIZE },
+    relays: relayLoad(),
+    uptime: process.uptime(),
+  });
+});
+
+// Room links (/r/CODE) open the app, which joins the room. The code is
+// checked here only so junk paths land on the front page.
+app.get('/r/:code', (req, res) => {
+  if (!normalizeCode(req.params.code)) {
+    res.redirect('/');
+    return;
+  }
+  res.sendFile(path.join(__dirname, '..', 'public', 'index.html'));
+});
+
+// Prometheus scrape endpoint, behind the admin token like the admin API
+app.get('/metrics', requireAdmin, (_req, res) => {
+  res.type(CONTENT_TYPE).send(metrics.render());
 });
 
+// ---------------------------------------------------------------------------
+// Metrics and logging
+// ---------------------------------------------------------------------------
+const metrics = createRegistry('lanplaybridge_');
+
+const stats = {
+  joins: metrics.counter('joins_total', 'Players who joined a room'),
+  roomFull: metrics.counter('room_full_total', 'Joins rejected because the room and its waitlist were full'),
+  waitlisted: metrics.counter('waitlist_joins_total', 'Joins queued on a full room\'s waitlist'),
+  promoted: metrics.counter('waitlist_promotions_total', 'Waitlisted players given a seat'),
+  roomErrors: metrics.counter('room_errors_total', 'Joins rejected with room-error'),
+  pairings: metrics.counter('pairings_total', 'Rooms that reached two players'),
+  partnerLeft: metrics.counter('partner_left_total', 'Players who left a room that still had others in it'),
+  expiries: metrics.counter('room_expiries_total', 'Rooms removed by the inactivity sweep'),
+  sessionSeconds: metrics.histogram('session_duration_seconds', 'Time from joining a room to leaving it',
+    [60, 300, 600, 1800, 3600, 7200, 14400]),
+};
+
+metrics.gauge('sockets', 'Connected Socket.io clients', () => io.engine.clientsCount);
+metrics.gauge('rooms', 'Rooms currently open', () => rooms.size);
+metrics.gauge('ip_leases', 'Player IPs currently leased', () => ipLeases.size);
+
+// One JSON object per line, so room lifecycle events can be shipped and
+// queried like any other structured log
+function logEvent(event, fields) {
+  console.log(JSON.stringify(Object.assign({ time: new Date().toISOString(), event }, fields)));
+}
+
 // ---------------------------------------------------------------------------
 // Room state
 // ---------------------------------------------------------------------------
-// Map<roomCode, { players: Map<socketId, { ip }>, created: number, lastActivity: number }>
+// Map<roomCode, {
+//   players: Map<socketId, { ip, token, connected, awayUntil, instance, ready, clientIP, joined }>,
+//                              // instance: INSTANCE_ID of the process holding the socket
+//   capacity: number,
+//   hostToken: string,          // session token of the host (first joiner)
+//   password: { salt, hash } | null,
+//   locked: boolean,
+//   listing: { game, description } | null,   // set for public lobby rooms
+//   chat: Array<{ from, text, at }>,          // last CHAT_HISTORY messages
+//   relay: string | null,                     // host:port from RELAYS
+//   waitlist: Array<{ id, clientIP, instance, since }>,  // sockets queued for a seat, first in line first
+//   created: number,
+//   lastActivity: number,
+//   expiryNotice: { expiresAt, warning } | null,  // last room-expiry sent
+// }>
 const rooms = new Map();
 
-// Max players per room (trading is 1-to-1)
-const MAX_PLAYERS = 2;
+// Map<sessionToken, roomCode> — lets a refreshed page reclaim its seat
+const sessions = new Map();
+
+// Players per room. Trading is 1-to-1, so that's the default; battles and
+// co-op can ask for more when creating the room, up to MAX_ROOM_CAPACITY.
+const DEFAULT_CAPACITY = 2;
+const MAX_ROOM_CAPACITY = Math.max(DEFAULT_CAPACITY, envInt('MAX_ROOM_CAPACITY', 8));
 
 // Room expiry: 30 minutes of inactivity
 const ROOM_TTL_MS = 30 * 60 * 1000;
 
-// Cleanup sweep every 60 seconds
+// Members get a countdown this long before an idle room expires, and can
+// extend it. Tunnel traffic the launcher reports counts as activity, but
+// only once per TUNNEL_ACTIVITY_INTERVAL_MS per player.
+const ROOM_EXPIRY_WARNING_MS = 5 * 60 * 1000;
+const TUNNEL_ACTIVITY_INTERVAL_MS = 30 * 1000;
+
+// Optional room passwords, set by whoever creates the room
+const MAX_PASSWORD_LENGTH = 64;
+
+// People queued for a full room. Past this, joins get room-full again.
+const MAX_WAITLIST = envInt('MAX_WAITLIST', 20);
+
+// Public lobby listing limits
+const MAX_GAME_TAG_LENGTH = 32;
+const MAX_DESCRIPTION_LENGTH = 120;
+
+// Ready checks each player reports, in the order they're expected to pass:
+// local launcher detected, lan-play running, Switch configured (user-confirmed)
+const READY_CHECKS = ['launcher', 'lanPlay', 'switchConfigured'];
+
+// In-room chat: bounded history for late joiners, per-socket rate limit
+const CHAT_HISTORY = 50;
+const MAX_CHAT_LENGTH = 300;
+const CHAT_RATE_LIMIT = 5;            // messages...
+const CHAT_RATE_WINDOW_MS = 10 * 1000; // ...per 10 seconds
+
+// How long a disconnected player's seat and IP are held for them to resume
+const RESUME_GRACE_MS = 60 * 1000;
+
+// Cleanup sweep: idle rooms, seats whose resume grace ran out, and (with a
+// shared store) players whose server process has gone away. It runs as one
+// store transaction, so processes sharing a store never sweep a room twice.
+const SWEEP_INTERVAL_MS = 5 * 1000;
+
 setInterval(() => {
+  try {
+    withRooms(sweepRooms);
+  } catch (err) {
+    logEvent('store-error', { during: 'sweep', message: err.message });
+  }
+  pruneClientRecords(Date.now());
+}, SWEEP_INTERVAL_MS);
+
+function sweepRooms(doc) {
   const now = Date.now();
+  const live = doc ? checkInInstance(doc, now) : null;
+  // A socket is gone if its process is, or if it's ours and has disconnected
+  // without its disconnect handler getting the store (a lock timeout)
+  const gone = (id, instance) => (instance === INSTANCE_ID
+    ? !io.sockets.sockets.has(id)
+    : !!live && !live.has(instance));
   for (const [code, room] of rooms) {
     if (now - room.lastActivity > ROOM_TTL_MS) {
-      for (const id of room.players.keys()) {
-        const s = io.sockets.sockets.get(id);
-        if (s) {
-          s.emit('room-expired');
-          s.leave(code);
-        }
+      stats.expiries.inc();
+      closeRoom(code, 'expired');
+      continue;
+    }
+    announceExpiry(code);
+    for (const [id, info] of Array.from(room.players)) {
+      if (info.connected && gone(id, info.instance)) {
+        holdSeat(code, id);
+      } else if (!info.connected && info.awayUntil <= now) {
+        removePlayer(code, id, 'timeout');
+      }
+    }
+    // Waiting sockets that are gone won't be back
+    if (rooms.has(code)) {
+      const waiting = room.waitlist.filter((entry) => !gone(entry.id, entry.instance));
+      if (waiting.length !== room.waitlist.length) {
+        room.waitlist = waiting;
+        broadcastWaitlist(code);
+        broadcastRoster(code);
       }
-      rooms.delete(code);
     }
   }
-}, 60 * 1000);
+}
+
+// ---------------------------------------------------------------------------
+// Room store — where room state lives beyond this process (see store.js)
+// ---------------------------------------------------------------------------
+// With STORE_FILE set, rooms survive restarts and several server processes on
+// the host can share them. Each process keeps a working copy in the Maps
+// above; every change runs inside withRooms(), which reloads the copy if
+// another process wrote since and saves it afterwards. Socket.io only reaches
+// this process's sockets, so events for the others go through the store as
+// well (emitToRoom, emitToSocket, emitToAll).
+const store = process.env.STORE_FILE
+  ? createFileStore(path.resolve(process.env.STORE_FILE))
+  : createMemoryStore();
+
+// Tells apart the processes sharing a store
+const INSTANCE_ID = crypto.randomBytes(6).toString('hex');
+
+// A process that hasn't checked in for this long is gone; its players are
+// marked away so they can resume on another one. Processes check in every
+// other sweep (see checkInInstance), so this allows two missed check-ins.
+const INSTANCE_TIMEOUT_MS = 4 * SWEEP_INTERVAL_MS;
+
+// How long events for other processes are kept for them to pick up
+const EVENT_TTL_MS = 30 * 1000;
+
+// Events this transaction emitted, for the other processes
+let pendingEvents = [];
+// What this transaction does to our own sockets (emits, Socket.io room
+// joins), held back until it's saved; see afterCommit
+let pendingEffects = [];
+// Store events already delivered to our sockets
+let lastEventSeq = 0;
+// The doc of the running transaction; undefined outside one
+let txDoc;
+
+// Runs fn(doc) as one store transaction. Nested calls just join the running
+// one. Effects on our sockets run once the store has the change, so a failed
+// save never leaves a client told about a seat or IP that wasn't kept.
+function withRooms(fn) {
+  if (txDoc !== undefined) return fn(txDoc);
+  let effects = [];
+  let result;
+  try {
+    result = store.transaction((doc, fresh) => {
+      txDoc = doc;
+      pendingEvents = [];
+      pendingEffects = [];
+      try {
+        if (fresh) loadDoc(doc);
+        const value = fn(doc);
+        if (doc) saveDoc(doc);
+        effects = pendingEffects;
+        return value;
+      } finally {
+        txDoc = undefined;
+        pendingEffects = [];
+      }
+    });
+  } catch (err) {
+    // The store drops changes it couldn't save; put the working copy back
+    refreshRooms();
+    throw err;
+  }
+  for (const effect of effects) effect();
+  return result;
+}
+
+// Runs effect after the running transaction commits, or now outside one
+function afterCommit(effect) {
+  if (txDoc === undefined) effect();
+  else pendingEffects.push(effect);
+}
+
+// Picks up what other processes changed, before reading outside a transaction
+function refreshRooms() {
+  const doc = store.poll();
+  if (doc) loadDoc(doc);
+}
+
+store.watch(() => {
+  refreshRooms();
+  scheduleLobbyUpdate();
+});
+
+// Rebuilds the working copy from the store. Leases and sessions aren't
+// stored, since every one of them belongs to a player.
+function loadDoc(doc) {
+  rooms.clear();
+  ipLeases.clear();
+  sessions.clear();
+  for (const [code, stored] of Object.entries(doc.rooms)) {
+    const room = Object.assign({}, stored, {
+      players: new Map(stored.players),
+      waitlist: stored.waitlist || [],
+      password: stored.password && {
+        salt: Buffer.from(stored.password.salt, 'base64'),
+        hash: Buffer.from(stored.password.hash, 'base64'),
+      },
+    });
+    rooms.set(code, room);
+    for (const info of room.players.values()) {
+      ipLeases.set(info.ip, code);
+      sessions.set(info.token, code);
+    }
+  }
+  deliverEvents(doc);
+}
+
+function saveDoc(doc) {
+  doc.rooms = {};
+  for (const [code, room] of rooms) {
+    doc.rooms[code] = Object.assign({}, room, {
+      players: Array.from(room.players),
+      password: room.password && {
+        salt: room.password.salt.toString('base64'),
+        hash: room.password.hash.toString('base64'),
+      },
+    });
+  }
+  const now = Date.now();
+  for (const ev of pendingEvents) {
+    doc.events.push(Object.assign({ seq: ++doc.seq, from: INSTANCE_ID, at: now }, ev));
+  }
+  // lastEventSeq stays put: these are ours, which deliverEvents skips anyway,
+  // and the save may yet fail
+  pendingEvents = [];
+}
+
+// Records that this process is alive, forgets processes that aren't and
+// drops old events. Returns the ids of the live processes. Checking in only
+// every other sweep leaves most sweeps with nothing to write.
+function checkInInstance(doc, now) {
+  if (!(now - doc.instances[INSTANCE_ID] < INSTANCE_TIMEOUT_MS / 2)) doc.instances[INSTANCE_ID] = now;
+  const live = new Set();
+  for (const [id, seenAt] of Object.entries(doc.instances)) {
+    if (now - seenAt > INSTANCE_TIMEOUT_MS) {
+      delete doc.instances[id];
+    } else {
+      live.add(id);
+    }
+  }
+  doc.events = doc.events.filter((ev) => now - ev.at < EVENT_TTL_MS);
+  return live;
+}
+
+function deliverEvents(doc) {
+  for (const ev of doc.events) {
+    if (ev.seq <= lastEventSeq || ev.from === INSTANCE_ID) continue;
+    if (ev.room) {
+      io.to(ev.room).emit(ev.event, ev.data);
+    } else if (ev.socket) {
+      deliverToSocket(io.sockets.sockets.get(ev.socket), ev);
+    } else {
+      io.emit(ev.event, ev.data);
+    }
+  }
+  lastEventSeq = doc.seq;
+}
+
+function emitToRoom(code, event, data) {
+  afterCommit(() => io.to(code).emit(event, data));
+  if (store.shared) pendingEvents.push({ room: code, event, data });
+}
+
+// One socket, wherever it's connected. opts.leave takes it out of a
+// Socket.io room, opts.promote moves it from a waitlist into its room,
+// opts.disconnect drops it; event can be null for just those.
+function emitToSocket(id, event, data, opts) {
+  const ev = Object.assign({ socket: id, event, data }, opts);
+  const local = io.sockets.sockets.get(id);
+  if (local) {
+    afterCommit(() => deliverToSocket(local, ev));
+  } else if (store.shared) {
+    pendingEvents.push(ev);
+  }
+}
+
+function emitToAll(event, data) {
+  afterCommit(() => io.emit(event, data));
+  if (store.shared) pendingEvents.push({ all: true, event, data });
+}
+
+function deliverToSocket(s, ev) {
+  if (!s) return;
+  if (ev.event) {
+    if (ev.data === undefined) s.emit(ev.event);
+    else s.emit(ev.event, ev.data);
+  }
+  if (ev.leave) s.leave(ev.leave);
+  if (ev.promote) s.data.promote(ev.promote);
+  if (ev.disconnect) s.disconnect(true);
+}
+
+// Stopping a process that shares its store: mark its players away so they
+// can resume on another process right away, not after INSTANCE_TIMEOUT_MS
+if (store.shared) {
+  for (const signal of ['SIGTERM', 'SIGINT']) {
+    process.once(signal, () => {
+      try {
+        withRooms((doc) => {
+          for (const [code, room] of rooms) {
+            for (const [id, info] of Array.from(room.players)) {
+              if (info.connected && info.instance === INSTANCE_ID) holdSeat(code, id);
+            }
+          }
+          delete doc.instances[INSTANCE_ID];
+        });
+      } catch (err) {
+        logEvent('store-error', { during: 'shutdown', message: err.message });
+      }
+      logEvent('server-stop', { signal });
+      process.exit(0);
+    });
+  }
+}
 
 // ---------------------------------------------------------------------------
 // IP assignment — gives each player a unique 10.13.x.x address
 // ---------------------------------------------------------------------------
-function generateIP(room) {
-  var usedIPs = new Set();
-  for (var info of room.players.values()) {
-    if (info && info.ip) usedIPs.add(info.ip);
+// Every room shares the same switch-lan-play relay, and therefore the same
+// 10.13.0.0/16 broadcast domain, so leases are tracked server-wide rather
+// than per room.
+// Map<ip, roomCode>
+const ipLeases = new Map();
+
+// Everything players enter on the Switch besides their own IP, sent with
+// room-joined so the web app never shows values of its own. The gateway is
+// the relay's virtual gateway, 10.13.37.1 unless the relays were set up with
+// another one.
+const SWITCH_NETWORK = {
+  subnet: '255.255.0.0',
+  gateway: process.env.SWITCH_GATEWAY || '10.13.37.1',
+  mtu: envInt('SWITCH_MTU', 1400),
+};
+if (!/^10\.13\.\d{1,3}\.\d{1,3}$/.test(SWITCH_NETWORK.gateway)) {
+  throw new Error('SWITCH_GATEWAY must be a 10.13.x.x address, got ' + SWITCH_NETWORK.gateway);
+}
+
+// Addresses never handed out to players
+const RESERVED_IPS = new Set([
+  SWITCH_NETWORK.gateway,
+]);
+
+// 10.13.[1-254].[1-254]
+const IP_POOL_SIZE = 254 * 254 - RESERVED_IPS.size;
+
+// Random attempts before falling back to a linear scan of the pool
+const IP_RANDOM_ATTEMPTS = 32;
+
+function allocateIP(code) {
+  if (ipLeases.size >= IP_POOL_SIZE) return null;
+
+  for (let i = 0; i < IP_RANDOM_ATTEMPTS; i++) {
+    const a = Math.floor(Math.random() * 254) + 1;
+    const b = Math.floor(Math.random() * 254) + 1;
+    const ip = '10.13.' + a + '.' + b;
+    if (!RESERVED_IPS.has(ip) && !ipLeases.has(ip)) {
+      ipLeases.set(ip, code);
+      return ip;
+    }
+  }
+
+  // Pool is nearly full — walk it instead of guessing
+  for (let a = 1; a <= 254; a++) {
+    for (let b = 1; b <= 254; b++) {
+      const ip = '10.13.' + a + '.' + b;
+      if (!RESERVED_IPS.has(ip) && !ipLeases.has(ip)) {
+        ipLeases.set(ip, code);
+        return ip;
+      }
+    }
+  }
+  return null;
+}
+
+function releaseIP(ip) {
+  if (ip) ipLeases.delete(ip);
+}
+
+// ---------------------------------------------------------------------------
+// Relay pool — each room is pinned to one relay so all of its players end up
+// on the same switch-lan-play instance. Unset RELAYS means the launchers'
+// own relay config decides, as before.
+// ---------------------------------------------------------------------------
+const RELAYS = (process.env.RELAYS || '').split(',').map((r) => r.trim()).filter(Boolean);
+
+// Least-loaded relay by number of rooms; ties go to the first listed
+function assignRelay() {
+  if (!RELAYS.length) return null;
+  const load = relayLoad();
+  load.sort((a, b) => a.rooms - b.rooms);
+  return load[0].relay;
+}
+
+function relayLoad() {
+  const load = RELAYS.map((relay) => ({ relay, rooms: 0, players: 0 }));
+  for (const room of rooms.values()) {
+    const entry = load.find((l) => l.relay === room.relay);
+    if (entry) {
+      entry.rooms++;
+      entry.players += room.players.size;
+    }
+  }
+  return load;
+}
+
+// ---------------------------------------------------------------------------
+// Abuse protection — per-client-IP throttles and temporary bans
+// ---------------------------------------------------------------------------
+// All limits are per RATE_WINDOW_MS. Failures are joins that hit a full,
+// locked or password-protected room — what probing for active codes looks
+// like — and too many of them earns a temporary ban.
+const LIMITS = {
+  joins: envInt('JOIN_RATE_LIMIT', 20),
+  creates: envInt('CREATE_RATE_LIMIT', 5),
+  failures: envInt('JOIN_FAILURE_LIMIT', 10),
+  windowMs: envInt('RATE_WINDOW_MS', 60 * 1000),
+  banMs: envInt('BAN_DURATION_MS', 15 * 60 * 1000),
+  maxRooms: envInt('MAX_ROOMS', 1000),
+};
+
+// X-Forwarded-For is only believed when the connection itself comes from
+// one of these (nginx on the same host, per nginx/frlg.online.conf)
+const TRUSTED_PROXIES = new Set(
+  (process.env.TRUSTED_PROXIES || '127.0.0.1,::1').split(',').map((a) => normalizeAddress(a)).filter(Boolean)
+);
+
+// Map<clientIP, { joins: number[], creates: number[], failures: number[], bannedUntil: number }>
+const clientRecords = new Map();
+
+// Walks X-Forwarded-For from the right, skipping trusted proxies, so a
+// client can't spoof its address by sending the header itself
+function resolveClientIP(remoteAddress, forwardedFor) {
+  const remote = normalizeAddress(remoteAddress);
+  if (!TRUSTED_PROXIES.has(remote) || typeof forwardedFor !== 'string') return remote;
+
+  const hops = forwardedFor.split(',').map((a) => normalizeAddress(a)).filter(Boolean);
+  for (let i = hops.length - 1; i >= 0; i--) {
+    if (!TRUSTED_PROXIES.has(hops[i])) return hops[i];
+  }
+  return hops[0] || remote;
+}
+
+function clientRecord(ip) {
+  let rec = clientRecords.get(ip);
+  if (!rec) {
+    rec = { joins: [], creates: [], failures: [], bannedUntil: 0 };
+    clientRecords.set(ip, rec);
+  }
+  return rec;
+}
+
+function recentOnly(times, now) {
+  return times.filter((t) => now - t < LIMITS.windowMs);
+}
+
+function rateLimited(reason, message, retryAfterMs) {
+  return { reason, message, retryAfterMs: Math.max(0, retryAfterMs) };
+}
+
+// Returns a rate-limited payload if this client is banned or joining too
+// fast, otherwise counts the attempt and returns null
+function checkJoin(ip) {
+  const now = Date.now();
+  const rec = clientRecord(ip);
+  if (rec.bannedUntil > now) {
+    return rateLimited('banned', 'Too many failed attempts. Try again later.', rec.bannedUntil - now);
+  }
+  rec.joins = recentOnly(rec.joins, now);
+  if (rec.joins.length >= LIMITS.joins) {
+    return rateLimited('join-rate', 'You\'re joining rooms too quickly. Slow down.', rec.joins[0] + LIMITS.windowMs - now);
+  }
+  rec.joins.push(now);
+  return null;
+}
+
+// Same, for creating a new room. Also enforces the server-wide room cap.
+function checkCreate(ip) {
+  const now = Date.now();
+  if (rooms.size >= LIMITS.maxRooms) {
+    return rateLimited('room-cap', 'The server is at its room limit. Try again in a few minutes.', LIMITS.windowMs);
+  }
+  const rec = clientRecord(ip);
+  rec.creates = recentOnly(rec.creates, now);
+  if (rec.creates.length >= LIMITS.creates) {
+    return rateLimited('create-rate', 'You\'re creating rooms too quickly. Slow down.', rec.creates[0] + LIMITS.windowMs - now);
+  }
+  rec.creates.push(now);
+  return null;
+}
+
+function recordJoinFailure(ip) {
+  const now = Date.now();
+  const rec = clientRecord(ip);
+  rec.failures = recentOnly(rec.failures, now);
+  rec.failures.push(now);
+  if (rec.failures.length >= LIMITS.failures) {
+    rec.bannedUntil = now + LIMITS.banMs;
+    rec.failures = [];
+    logEvent('client-banned', { clientIP: ip, failures: LIMITS.failures, banMs: LIMITS.banMs });
+  }
+}
+
+// Drop records with nothing left in the window and no active ban
+function pruneClientRecords(now) {
+  for (const [ip, rec] of clientRecords) {
+    rec.joins = recentOnly(rec.joins, now);
+    rec.creates = recentOnly(rec.creates, now);
+    rec.failures = recentOnly(rec.failures, now);
+    if (!rec.joins.length && !rec.creates.length && !rec.failures.length && rec.bannedUntil <= now) {
+      clientRecords.delete(ip);
+    }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Room membership
+// ---------------------------------------------------------------------------
+// Removes a player for good: frees their IP and session and tells whoever is
+// left. reason is one of left, timeout (resume grace ran out), kicked, admin.
+function removePlayer(code, id, reason) {
+  const room = rooms.get(code);
+  if (!room) return;
+  const info = room.players.get(id);
+  if (!info) return;
+
+  sessions.delete(info.token);
+  releaseIP(info.ip);
+  room.players.delete(id);
+  room.lastActivity = Date.now();
+  endSession(code, info, reason);
+  if (room.players.size > 0) stats.partnerLeft.inc();
+
+  // Pass the host role on, preferring someone who's actually connected
+  if (room.hostToken === info.token) {
+    const members = Array.from(room.players.values());
+    const next = members.find((p) => p.connected) || members[0];
+    room.hostToken = next ? next.token : null;
+  }
+
+  // The freed seat goes to whoever is first in line
+  promoteWaitlist(code);
+
+  if (room.players.size === 0) {
+    closeRoom(code, 'empty');
+    return;
+  }
+  broadcastRoster(code);
+}
+
+// Seats socket id in the room: IP lease, session token, and the host role if
+// nobody has it. instance is the process holding the socket. Returns the
+// room-joined payload, or null when the IP pool is exhausted.
+function seatPlayer(code, id, clientIP, instance) {
+  const room = rooms.get(code);
+  const assignedIP = allocateIP(code);
+  if (!assignedIP) return null;
+
+  const token = crypto.randomBytes(24).toString('hex');
+  room.players.set(id, {
+    ip: assignedIP,
+    token,
+    connected: true,
+    awayUntil: null,
+    instance,
+    ready: normalizeReady(null),
+    clientIP,
+    joined: Date.now(),
+  });
+  if (!room.hostToken) room.hostToken = token;
+  sessions.set(token, code);
+  room.lastActivity = Date.now();
+  stats.joins.inc();
+  logEvent('player-joined', { room: code, ip: assignedIP, clientIP, playerCount: room.players.size });
+  // Counted once per room, not each time a seat is refilled
+  if (room.players.size === 2 && !room.paired) {
+    room.paired = true;
+    stats.pairings.inc();
+    logEvent('room-paired', { room: code });
+  }
+
+  return {
+    code,
+    playerCount: room.players.size,
+    position: room.players.size,
+    capacity: room.capacity,
+    assignedIP,
+    network: SWITCH_NETWORK,
+    relay: room.relay,
+    token,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Waitlist — joins on a full room queue up and get the next free seat
+// ---------------------------------------------------------------------------
+// Fills free seats from the front of the line. Locked rooms keep their line
+// until the host unlocks. Entries whose socket is gone are skipped.
+function promoteWaitlist(code) {
+  const room = rooms.get(code);
+  if (!room || room.locked) return;
+  let changed = false;
+  while (room.waitlist.length && room.players.size < room.capacity) {
+    const entry = room.waitlist[0];
+    if (entry.instance === INSTANCE_ID && !io.sockets.sockets.get(entry.id)) {
+      room.waitlist.shift();
+      changed = true;
+      continue;
+    }
+    const joined = seatPlayer(code, entry.id, entry.clientIP, entry.instance);
+    if (!joined) break; // out of IPs; the next freed seat tries again
+    room.waitlist.shift();
+    changed = true;
+    stats.promoted.inc();
+    logEvent('waitlist-promoted', { room: code, ip: joined.assignedIP, waitedSeconds: secondsSince(entry.since) });
+    emitToSocket(entry.id, 'room-joined', Object.assign(joined, { promoted: true }), { promote: code });
+    emitToSocket(entry.id, 'chat-history', { messages: room.chat });
+  }
+  if (changed) broadcastWaitlist(code);
+}
+
+function leaveWaitlist(code, id) {
+  const room = rooms.get(code);
+  if (!room) return;
+  const i = room.waitlist.findIndex((entry) => entry.id === id);
+  if (i === -1) return;
+  room.waitlist.splice(i, 1);
+  broadcastWaitlist(code);
+  broadcastRoster(code);
+}
+
+// Tells everyone in line where they stand
+function broadcastWaitlist(code) {
+  const room = rooms.get(code);
+  if (!room) return;
+  room.waitlist.forEach((entry, i) => {
+    emitToSocket(entry.id, 'waitlist', { code, position: i + 1, length: room.waitlist.length });
+  });
+}
+
+// Ends a room for everyone in it: frees all leases and sessions and tells
+// connected members and anyone still in line with room-expired. Used by the
+// expiry sweep and admins, and when the last player leaves.
+function closeRoom(code, reason) {
+  const room = rooms.get(code);
+  if (!room) return;
+  for (const [id, info] of room.players) {
+    sessions.delete(info.token);
+    releaseIP(info.ip);
+    endSession(code, info, reason);
+    emitToSocket(id, 'room-expired', undefined, { leave: code });
+  }
+  for (const entry of room.waitlist) {
+    emitToSocket(entry.id, 'room-expired');
+  }
+  rooms.delete(code);
+  scheduleLobbyUpdate();
+  logEvent('room-closed', { room: code, reason, ageSeconds: secondsSince(room.created) });
+}
+
+function endSession(code, info, reason) {
+  const seconds = secondsSince(info.joined);
+  stats.sessionSeconds.observe(seconds);
+  logEvent('player-left', { room: code, ip: info.ip, reason, sessionSeconds: seconds });
+}
+
+function secondsSince(ms) {
+  return Math.round((Date.now() - ms) / 1000);
+}
+
+// Marks a disconnected player as away and keeps their seat and IP for
+// RESUME_GRACE_MS, after which the sweep removes them.
+function holdSeat(code, id) {
+  const room = rooms.get(code);
+  if (!room) return;
+  const info = room.players.get(id);
+  if (!info) return;
+
+  info.connected = false;
+  info.awayUntil = Date.now() + RESUME_GRACE_MS;
+  room.lastActivity = Date.now();
+  logEvent('player-away', { room: code, ip: info.ip, graceMs: RESUME_GRACE_MS });
+  broadcastRoster(code);
+}
+
+// Tells the room how long it has left whenever that changed since the last
+// notice (any activity pushes expiry back) or it just came within the
+// warning window. Called from the sweep, so at most one notice per sweep.
+function announceExpiry(code) {
+  const room = rooms.get(code);
+  if (!room) return;
+  const expiresAt = room.lastActivity + ROOM_TTL_MS;
+  const remainingMs = expiresAt - Date.now();
+  const warning = remainingMs <= ROOM_EXPIRY_WARNING_MS;
+  const last = room.expiryNotice;
+  if (last && last.expiresAt === expiresAt && last.warning === warning) return;
+  room.expiryNotice = { expiresAt, warning };
+  emitToRoom(code, 'room-expiry', { remainingMs, warning });
+  if (warning && !(last && last.warning)) logEvent('room-expiry-warning', { room: code, remainingMs });
+}
+
+// Sends everyone in the room the current member list. Clients find
+// themselves in it by their assigned IP. Every membership or settings change
+// comes through here, so it also refreshes the public lobby.
+function broadcastRoster(code) {
+  const room = rooms.get(code);
+  if (!room) return;
+  scheduleLobbyUpdate();
+  emitToRoom(code, 'roster', {
+    capacity: room.capacity,
+    playerCount: room.players.size,
+    locked: room.locked,
+    hasPassword: !!room.password,
+    allReady: isRoomReady(room),
+    waiting: room.waitlist.length,
+    remainingMs: room.lastActivity + ROOM_TTL_MS - Date.now(),
+    members: Array.from(room.players.values(), (info, i) => ({
+      position: i + 1,
+      ip: info.ip,
+      connected: info.connected,
+      host: info.token === room.hostToken,
+      ready: info.ready,
+    })),
+  });
+}
+
+// A room is ready once at least two players are in it and every one of them
+// is connected and passes all ready checks
+function isRoomReady(room) {
+  if (room.players.size < 2) return false;
+  for (const info of room.players.values()) {
+    if (!info.connected) return false;
+    if (!READY_CHECKS.every((check) => info.ready[check])) return false;
+  }
+  return true;
+}
+
+function positionOf(room, id) {
+  return Array.from(room.players.keys()).indexOf(id) + 1;
+}
+
+// ---------------------------------------------------------------------------
+// Public lobby — rooms their creator chose to list, pushed live to sockets
+// subscribed to the "lobby" channel
+// ---------------------------------------------------------------------------
+const LOBBY_CHANNEL = 'lobby';
+
+// Room changes come in bursts (join + roster + ...), so coalesce updates
+const LOBBY_UPDATE_DELAY_MS = 1000;
+let lobbyUpdateTimer = null;
+
+// Only public rooms someone could actually join. Password-protected rooms
+// can't be created public, but check anyway — they must never leak here.
+function listPublicRooms() {
+  const list = [];
+  for (const [code, room] of rooms) {
+    if (!room.listing || room.password || room.locked) continue;
+    if (room.players.size === 0 || room.players.size >= room.capacity) continue;
+    list.push({
+      code,
+      game: room.listing.game,
+      description: room.listing.description,
+      playerCount: room.players.size,
+      capacity: room.capacity,
+      created: room.created,
+    });
   }
+  return list.sort((a, b) => b.created - a.created);
+}
+
+function scheduleLobbyUpdate() {
+  if (lobbyUpdateTimer) return;
+  lobbyUpdateTimer = setTimeout(() => {
+    lobbyUpdateTimer = null;
+    io.to(LOBBY_CHANNEL).emit('lobby', { rooms: listPublicRooms() });
+  }, LOBBY_UPDATE_DELAY_MS);
+}
+
+// ---------------------------------------------------------------------------
+// Admin API — token-protected, for people operating the server. Disabled
+// unless ADMIN_TOKEN is set. The dashboard at /admin.html uses it.
+// ---------------------------------------------------------------------------
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+
+const admin = express.Router();
+admin.use(express.json());
 
-  var ip;
-  do {
-    // Random octets: 10.13.[1-254].[1-254], avoiding gateway 10.13.37.1
-    var a = Math.floor(Math.random() * 254) + 1;
-    var b = Math.floor(Math.random() * 254) + 1;
-    ip = '10.13.' + a + '.' + b;
-  } while (ip === '10.13.37.1' || usedIPs.has(ip));
+admin.use(requireAdmin);
 
-  return ip;
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) {
+    res.status(404).json({ error: 'Admin API is disabled. Set ADMIN_TOKEN to enable it.' });
+    return;
+  }
+  const header = req.get('authorization') || '';
+  const given = Buffer.from(header.startsWith('Bearer ') ? header.slice(7) : '');
+  const expected = Buffer.from(ADMIN_TOKEN);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    res.status(401).json({ error: 'Invalid admin token.' });
+    return;
+  }
+  next();
 }
 
+admin.get('/rooms', (_req, res) => {
+  refreshRooms();
+  const now = Date.now();
+  const list = [];
+  for (const [code, room] of rooms) {
+    list.push({
+      code,
+      capacity: room.capacity,
+      locked: room.locked,
+      hasPassword: !!room.password,
+      listing: room.listing,
+      relay: room.relay,
+      waiting: room.waitlist.length,
+      ageMs: now - room.created,
+      idleMs: now - room.lastActivity,
+      members: Array.from(room.players, ([id, info], i) => ({
+        socketId: id,
+        position: i + 1,
+        ip: info.ip,
+        clientIP: info.clientIP,
+        connected: info.connected,
+        host: info.token === room.hostToken,
+        ageMs: now - info.joined,
+      })),
+      waitlist: room.waitlist.map((entry, i) => ({
+        socketId: entry.id,
+        position: i + 1,
+        clientIP: entry.clientIP,
+        ageMs: now - entry.since,
+      })),
+    });
+  }
+  res.json({ rooms: list });
+});
+
+admin.delete('/rooms/:code', (req, res) => {
+  const code = normalizeCode(req.params.code);
+  const closed = withRooms(() => {
+    if (!code || !rooms.has(code)) return false;
+    closeRoom(code, 'admin');
+    return true;
+  });
+  if (!closed) {
+    res.status(404).json({ error: 'No such room.' });
+    return;
+  }
+  logEvent('admin-close-room', { room: code });
+  res.json({ ok: true });
+});
+
+// The socket may be connected to another server process sharing the store;
+// emitToSocket gets the kick to it either way. A player is only removed from
+// their room or its waitlist, like a host kick, so their page stays connected
+// and usable. Any other socket can only be found on this process, and is
+// disconnected.
+admin.post('/sockets/:id/kick', (req, res) => {
+  const id = req.params.id;
+  const code = withRooms(() => {
+    let seated = null;
+    let queued = null;
+    for (const [c, room] of rooms) {
+      if (room.players.has(id)) seated = c;
+      if (room.waitlist.some((entry) => entry.id === id)) queued = c;
+    }
+    if (seated) {
+      emitToSocket(id, 'kicked', { message: 'You were removed from the room by a server admin.' }, { leave: seated });
+      removePlayer(seated, id, 'admin');
+      return seated;
+    }
+    if (queued) {
+      emitToSocket(id, 'kicked', { message: 'You were removed from the room\'s waitlist by a server admin.' });
+      leaveWaitlist(queued, id);
+      return queued;
+    }
+    if (!io.sockets.sockets.get(id)) return undefined;
+    emitToSocket(id, null, undefined, { disconnect: true });
+    return null;
+  });
+  if (code === undefined) {
+    res.status(404).json({ error: 'No such socket.' });
+    return;
+  }
+  logEvent('admin-kick', { socketId: id, room: code });
+  res.json({ ok: true });
+});
+
+admin.post('/broadcast', (req, res) => {
+  const message = req.body && typeof req.body.message === 'string' ? req.body.message.trim() : '';
+  if (!message || message.length > 500) {
+    res.status(400).json({ error: 'Message must be 1-500 characters.' });
+    return;
+  }
+  withRooms(() => emitToAll('maintenance', { message }));
+  logEvent('admin-broadcast', { message });
+  res.json({ ok: true, recipients: io.sockets.sockets.size });
+});
+
+app.use('/admin/api', admin);
+
 // ---------------------------------------------------------------------------
 // Socket.io connection handling
 // ---------------------------------------------------------------------------
 io.on('connection', (socket) => {
   // Track which room this socket is currently in
   let currentRoom = null;
+  // Room whose waitlist this socket is in, if any
+  let waitingFor = null;
+  // Last tunnel-activity that counted, for TUNNEL_ACTIVITY_INTERVAL_MS
+  let lastTunnelActivity = 0;
+
+  // Called through emitToSocket when the waitlist gives us a seat, possibly
+  // from another process
+  socket.data.promote = (code) => {
+    waitingFor = null;
+    currentRoom = code;
+    socket.join(code);
+  };
+
+  function leaveQueue() {
+    if (waitingFor) {
+      leaveWaitlist(waitingFor, socket.id);
+      waitingFor = null;
+    }
+  }
+
+  // Real client address, for throttling
+  const clientIP = resolveClientIP(socket.handshake.address, socket.handshake.headers['x-forwarded-for']);
+
+  // Replies and Socket.io room changes wait for the transaction to commit
+  function reply(event, data) {
+    afterCommit(() => socket.emit(event, data));
+  }
+  function joinChannel(code) {
+    afterCommit(() => socket.join(code));
+  }
+  function leaveChannel(code) {
+    afterCommit(() => socket.leave(code));
+  }
+
+  function roomError(message) {
+    stats.roomErrors.inc();
+    reply('room-error', { message });
+  }
+
+  // Handlers that touch rooms run as one store transaction each. A store
+  // that can't be locked in time costs the client this one action, not the
+  // server its process.
+  function handle(event, fn) {
+    socket.on(event, (data) => inTransaction(event, () => fn(data)));
+  }
+
+  // A failed transaction leaves the rooms as they were, so this socket's
+  // idea of where it is goes back too
+  function inTransaction(event, fn) {
+    const before = [currentRoom, waitingFor];
+    try {
+      withRooms(fn);
+    } catch (err) {
+      [currentRoom, waitingFor] = before;
+      storeError(event, err);
+    }
+  }
+
+  // A disconnect that fails has nobody to tell; the sweep holds the seat
+  function storeError(event, err) {
+    logEvent('store-error', { during: event, message: err.message });
+    if (!socket.connected) return;
+    stats.roomErrors.inc();
+    socket.emit('room-error', { message: 'The server is busy. Try again in a moment.' });
+  }
+
+  // Send times of this socket's recent chat messages, for rate limiting
+  let chatSent = [];
+
+  socket.emit('server-info', { maxCapacity: MAX_ROOM_CAPACITY });
 
   // -- Join room --------------------------------------------------------
-  socket.on('join-room', (data) => {
-    const code = normalizeCode(data && data.code);
+  // join-room takes the code from the user and creates the room if it
+  // doesn't exist, unless `existing` is set (room links, the lobby).
+  // create-room always makes a new room under a code from generateRoomCode.
+  handleJoin('join-room', (data) => normalizeCode(data.code));
+  handleJoin('create-room', () => generateRoomCode(rooms), true);
+
+  // Not handle(): scrypt is slow on purpose, so a password is hashed on the
+  // thread pool after the rate limit and before the transaction, which only
+  // compares hashes. codeFor runs inside the transaction.
+  function handleJoin(event, codeFor, creates) {
+    socket.on(event, async (raw) => {
+      const data = raw && typeof raw === 'object' ? raw : {};
+      const limited = checkJoin(clientIP);
+      if (limited) {
+        socket.emit('rate-limited', limited);
+        return;
+      }
+      const password = typeof data.password === 'string' ? data.password : '';
+      if (password.length > MAX_PASSWORD_LENGTH) {
+        roomError('Password must be at most ' + MAX_PASSWORD_LENGTH + ' characters.');
+        return;
+      }
+      let hashed = null;
+      try {
+        if (password) hashed = await preparePassword(creates ? null : codeFor(data), password);
+      } catch (err) {
+        storeError(event, err);
+        return;
+      }
+      if (!socket.connected) return;
+      inTransaction(event, () => enterRoom(codeFor(data), data, hashed));
+    });
+  }
+
+  // `hashed` is the password hashed with the salt of the room it's for, or a
+  // new salt if there's no such room yet (see preparePassword)
+  function enterRoom(code, data, hashed) {
     if (!code) {
-      socket.emit('room-error', { message: 'Please enter a valid room code (2-20 characters).' });
+      roomError('Please enter a valid room code (2-20 characters).');
+      return;
+    }
+    if (data.existing && !rooms.has(code)) {
+      recordJoinFailure(clientIP);
+      roomError('Room ' + code + ' doesn\'t exist anymore. Ask for a new link, pick another room, or create one.');
       return;
     }
 
     // Leave current room first if already in one
     if (currentRoom) {
-      leaveRoom(socket, currentRoom);
+      leaveChannel(currentRoom);
+      removePlayer(currentRoom, socket.id, 'left');
+      currentRoom = null;
     }
+    // Asking for the room we're queued for again keeps our place
+    if (waitingFor !== code) leaveQueue();
 
-    // Create room if it doesn't exist
+    // Create room if it doesn't exist — the creator picks the capacity,
+    // password and lobby listing, and becomes host
     if (!rooms.has(code)) {
+      const capacity = normalizeCapacity(data.capacity);
+      if (!capacity) {
+        roomError('Room size must be between ' + DEFAULT_CAPACITY + ' and ' + MAX_ROOM_CAPACITY + ' players.');
+        return;
+      }
+      let listing = null;
+      if (data.public) {
+        if (hashed) {
+          roomError('Public rooms can\'t have a password.');
+          return;
+        }
+        listing = normalizeListing(data.game, data.description);
+        if (!listing) {
+          roomError(
+            'Public rooms need a game tag (up to ' + MAX_GAME_TAG_LENGTH + ' characters) and a description of at most ' + MAX_DESCRIPTION_LENGTH + ' characters.'
+          );
+          return;
+        }
+      }
+      const limitedCreate = checkCreate(clientIP);
+      if (limitedCreate) {
+        reply('rate-limited', limitedCreate);
+        return;
+      }
+      // Only open a room its creator can be seated in, so every
+      // room-created is followed by a room-closed
+      if (ipLeases.size >= IP_POOL_SIZE) {
+        roomError('No free IP addresses left on this server. Try again later.');
+        return;
+      }
       rooms.set(code, {
         players: new Map(),
+        capacity,
+        hostToken: null,
+        password: hashed,
+        locked: false,
+        listing,
+        chat: [],
+        relay: assignRelay(),
+        waitlist: [],
+        expiryNotice: null,
+        paired: false,
         created: Date.now(),
         lastActivity: Date.now(),
       });
+      logEvent('room-created', {
+        room: code,
+        capacity,
+        public: !!listing,
+        password: !!hashed,
+        relay: rooms.get(code).relay,
+        clientIP,
+      });
     }
 
     const room = rooms.get(code);
 
-    if (room.players.size >= MAX_PLAYERS) {
-      socket.emit('room-full', { message: 'Room is full. Try a different code.' });
+    if (room.locked) {
+      recordJoinFailure(clientIP);
+      reply('room-locked', { message: 'This room is locked by its host.' });
+      return;
+    }
+
+    if (room.password && hashed && !hashed.salt.equals(room.password.salt)) {
+      // The room was replaced while we hashed against the old one's salt
+      roomError('The room changed while you were joining. Try again.');
+      return;
+    }
+    if (room.password && !passwordMatches(hashed, room.password)) {
+      recordJoinFailure(clientIP);
+      reply('room-password', {
+        message: hashed ? 'Wrong password for this room.' : 'This room needs a password.',
+      });
+      return;
+    }
+
+    // Full, or others are already waiting for the next seat: get in line
+    if (room.players.size >= room.capacity || room.waitlist.length) {
+      // Asking again keeps our place, if we still have one (an admin may
+      // have taken us out of the line)
+      if (waitingFor === code && room.waitlist.some((entry) => entry.id === socket.id)) {
+        broadcastWaitlist(code);
+        return;
+      }
+      if (room.waitlist.length >= MAX_WAITLIST) {
+        recordJoinFailure(clientIP);
+        stats.roomFull.inc();
+        reply('room-full', { message: 'Room is full and so is its waitlist. Try a different code.' });
+        return;
+      }
+      room.waitlist.push({ id: socket.id, clientIP, instance: INSTANCE_ID, since: Date.now() });
+      waitingFor = code;
+      stats.waitlisted.inc();
+      logEvent('waitlist-joined', { room: code, clientIP, position: room.waitlist.length });
+      broadcastWaitlist(code);
+      broadcastRoster(code);
+      return;
+    }
+
+    const joined = seatPlayer(code, socket.id, clientIP, INSTANCE_ID);
+    if (!joined) {
+      if (room.players.size === 0) rooms.delete(code);
+      roomError('No free IP addresses left on this server. Try again later.');
+      return;
+    }
+    joinChannel(code);
+    currentRoom = code;
+
+    reply('room-joined', joined);
+    reply('chat-history', { messages: room.chat });
+
+    broadcastRoster(code);
+  }
+
+  // -- Resume session ---------------------------------------------------
+  // A page refresh or network blip gives us a new socket; the token from
+  // room-joined lets it take over the held seat and IP.
+  handle('resume-session', (data) => {
+    const token = data && typeof data.token === 'string' ? data.token : null;
+    const code = token ? sessions.get(token) : null;
+    const room = code ? rooms.get(code) : null;
+    let oldId = null;
+    if (room) {
+      for (const [id, info] of room.players) {
+        if (info.token === token) oldId = id;
+      }
+    }
+    if (!oldId) {
+      reply('resume-failed', { message: 'Your previous session has ended. Join the room again.' });
       return;
     }
 
-    const assignedIP = generateIP(room);
-    room.players.set(socket.id, { ip: assignedIP });
+    if (currentRoom && (currentRoom !== code || oldId !== socket.id)) {
+      leaveChannel(currentRoom);
+      removePlayer(currentRoom, socket.id, 'left');
+    }
+
+    // Re-key the seat to the new socket, keeping join order
+    const info = room.players.get(oldId);
+    info.awayUntil = null;
+    info.instance = INSTANCE_ID;
+    info.connected = true;
+    info.clientIP = clientIP;
+    room.players = new Map(Array.from(room.players, ([id, p]) => [id === oldId ? socket.id : id, p]));
     room.lastActivity = Date.now();
-    socket.join(code);
+    joinChannel(code);
     currentRoom = code;
+    logEvent('player-resumed', { room: code, ip: info.ip, clientIP });
 
-    socket.emit('room-joined', {
+    // The old socket may not have noticed it's gone yet (network blip)
+    if (oldId !== socket.id) emitToSocket(oldId, null, undefined, { disconnect: true });
+
+    reply('room-joined', {
       code,
       playerCount: room.players.size,
-      position: room.players.size,
-      assignedIP: assignedIP,
+      position: positionOf(room, socket.id),
+      capacity: room.capacity,
+      assignedIP: info.ip,
+      network: SWITCH_NETWORK,
+      relay: room.relay,
+      token,
+      resumed: true,
     });
+    reply('chat-history', { messages: room.chat });
 
-    // Notify both players if the room is now full (partner arrived)
-    if (room.players.size === 2) {
-      // Send each player the partner-joined event with their own IP reminder
-      for (const [id, info] of room.players) {
-        const s = io.sockets.sockets.get(id);
-        if (s) {
-          s.emit('partner-joined', { playerCount: 2, assignedIP: info.ip });
-        }
-      }
+    broadcastRoster(code);
+  });
+
+  // -- Ready check ------------------------------------------------------
+  handle('ready-state', (data) => {
+    const room = currentRoom ? rooms.get(currentRoom) : null;
+    const info = room ? room.players.get(socket.id) : null;
+    if (!info) return;
+
+    info.ready = normalizeReady(data);
+    room.lastActivity = Date.now();
+    broadcastRoster(currentRoom);
+  });
+
+  // -- Room expiry ------------------------------------------------------
+  // Any member can push expiry back a full ROOM_TTL_MS
+  handle('extend-room', () => {
+    const room = currentRoom ? rooms.get(currentRoom) : null;
+    const info = room ? room.players.get(socket.id) : null;
+    if (!info) return;
+
+    room.lastActivity = Date.now();
+    logEvent('room-extended', { room: currentRoom, ip: info.ip });
+    announceExpiry(currentRoom);
+  });
+
+  // The player's launcher saw traffic through the tunnel: they're trading
+  // even if nobody touches the page
+  handle('tunnel-activity', () => {
+    const room = currentRoom ? rooms.get(currentRoom) : null;
+    if (!room || !room.players.has(socket.id)) return;
+    const now = Date.now();
+    if (now - lastTunnelActivity < TUNNEL_ACTIVITY_INTERVAL_MS) return;
+
+    lastTunnelActivity = now;
+    room.lastActivity = now;
+  });
+
+  // -- Chat -------------------------------------------------------------
+  // Text is stored and relayed as-is; clients must render it as text.
+  handle('chat-message', (data) => {
+    const room = currentRoom ? rooms.get(currentRoom) : null;
+    const info = room ? room.players.get(socket.id) : null;
+    if (!info) return;
+
+    const text = normalizeChat(data && data.text);
+    if (!text) {
+      reply('chat-error', { message: 'Messages must be 1-' + MAX_CHAT_LENGTH + ' characters.' });
+      return;
+    }
+
+    const now = Date.now();
+    chatSent = chatSent.filter((t) => now - t < CHAT_RATE_WINDOW_MS);
+    if (chatSent.length >= CHAT_RATE_LIMIT) {
+      reply('chat-error', { message: 'You\'re sending messages too quickly. Wait a few seconds.' });
+      return;
     }
+    chatSent.push(now);
+
+    const message = { from: info.ip, text, at: now };
+    room.chat.push(message);
+    if (room.chat.length > CHAT_HISTORY) room.chat.shift();
+    room.lastActivity = now;
+    emitToRoom(currentRoom, 'chat', message);
+  });
+
+  // -- Lobby ------------------------------------------------------------
+  socket.on('lobby-subscribe', () => {
+    socket.join(LOBBY_CHANNEL);
+    socket.emit('lobby', { rooms: listPublicRooms() });
+  });
+
+  socket.on('lobby-unsubscribe', () => {
+    socket.leave(LOBBY_CHANNEL);
+  });
+
+  // -- Host controls ----------------------------------------------------
+  handle('kick-player', (data) => {
+    const room = hostRoom();
+    if (!room) return;
+
+    const ip = data && data.ip;
+    let targetId = null;
+    for (const [id, info] of room.players) {
+      if (info.ip === ip) targetId = id;
+    }
+    if (!targetId) {
+      reply('host-error', { message: 'That player is no longer in the room.' });
+      return;
+    }
+    if (targetId === socket.id) {
+      reply('host-error', { message: 'You can\'t kick yourself. Leave the room instead.' });
+      return;
+    }
+
+    emitToSocket(targetId, 'kicked', { message: 'You were removed from the room by the host.' }, { leave: currentRoom });
+    removePlayer(currentRoom, targetId, 'kicked');
+  });
+
+  handle('lock-room', (data) => {
+    const room = hostRoom();
+    if (!room) return;
+
+    room.locked = !!(data && data.locked);
+    room.lastActivity = Date.now();
+    promoteWaitlist(currentRoom);
+    broadcastRoster(currentRoom);
   });
 
   // -- Leave room -------------------------------------------------------
-  socket.on('leave-room', () => {
+  handle('leave-room', () => {
+    leaveQueue();
     if (currentRoom) {
-      leaveRoom(socket, currentRoom);
+      leaveChannel(currentRoom);
+      removePlayer(currentRoom, socket.id, 'left');
       currentRoom = null;
     }
   });
 
   // -- Disconnect -------------------------------------------------------
-  socket.on('disconnect', () => {
+  // Hold the seat instead of leaving, so the player can resume.
+  handle('disconnect', () => {
+    leaveQueue();
     if (currentRoom) {
-      leaveRoom(socket, currentRoom);
+      holdSeat(currentRoom, socket.id);
       currentRoom = null;
     }
   });
 
   // -- Helpers ----------------------------------------------------------
-  function leaveRoom(sock, code) {
-    sock.leave(code);
-    const room = rooms.get(code);
-    if (!room) return;
-
-    room.players.delete(sock.id);
-    room.lastActivity = Date.now();
-
-    if (room.players.size === 0) {
-      rooms.delete(code);
-    } else {
-      // Notify remaining player that partner left
-      for (const [id, info] of room.players) {
-        const s = io.sockets.sockets.get(id);
-        if (s) {
-          s.emit('partner-left', { playerCount: room.players.size, assignedIP: info.ip });
-        }
-      }
+  // The current room if this socket is its host, otherwise emits host-error
+  function hostRoom() {
+    const room = currentRoom ? rooms.get(currentRoom) : null;
+    const info = room ? room.players.get(socket.id) : null;
+    if (!info || info.token !== room.hostToken) {
+      reply('host-error', { message: 'Only the room host can do that.' });
+      return null;
     }
+    return room;
   }
 });
 
 // ---------------------------------------------------------------------------
 // Utilities
 // ---------------------------------------------------------------------------
+function envInt(name, fallback) {
+  const n = parseInt(process.env[name], 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+// Strips the IPv4-mapped IPv6 prefix so 127.0.0.1 and ::ffff:127.0.0.1 match
+function normalizeAddress(raw) {
+  if (typeof raw !== 'string') return '';
+  const addr = raw.trim();
+  return addr.startsWith('::ffff:') ? addr.slice(7) : addr;
+}
+
 function normalizeCode(raw) {
   if (typeof raw !== 'string') return null;
   const trimmed = raw.trim().toUpperCase();
@@ -187,9 +1459,82 @@ function normalizeCode(raw) {
   return trimmed;
 }
 
+// Collapses control characters (including newlines) to spaces
+function normalizeChat(raw) {
+  if (typeof raw !== 'string') return null;
+  const text = raw.replace(/[\u0000-\u001f\u007f]+/g, ' ').trim();
+  if (!text || text.length > MAX_CHAT_LENGTH) return null;
+  return text;
+}
+
+// Unknown keys are dropped, anything not explicitly true counts as failing
+function normalizeReady(raw) {
+  const ready = {};
+  for (const check of READY_CHECKS) {
+    ready[check] = !!raw && raw[check] === true;
+  }
+  return ready;
+}
+
+// Game tag is required for a listing, description is optional
+function normalizeListing(rawGame, rawDescription) {
+  const game = typeof rawGame === 'string' ? rawGame.trim() : '';
+  const description = typeof rawDescription === 'string' ? rawDescription.trim() : '';
+  if (!game || game.length > MAX_GAME_TAG_LENGTH) return null;
+  if (description.length > MAX_DESCRIPTION_LENGTH) return null;
+  return { game, description };
+}
+
+// Room passwords only live as long as the room, but there's no reason to
+// keep them in plain text. Hashing runs on the thread pool; only the
+// comparison happens on the event loop.
+function scryptAsync(password, salt) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, 32, (err, hash) => (err ? reject(err) : resolve(hash)));
+  });
+}
+
+// Hashes password with the salt of room `code` if it has a password, so the
+// join can be checked against it; otherwise with a new salt, ready to become
+// the password of a room being created
+async function preparePassword(code, password) {
+  refreshRooms();
+  const room = code ? rooms.get(code) : null;
+  const salt = room && room.password ? room.password.salt : crypto.randomBytes(16);
+  return { salt, hash: await scryptAsync(password, salt) };
+}
+
+function passwordMatches(hashed, stored) {
+  return !!hashed && hashed.salt.equals(stored.salt) && crypto.timingSafeEqual(hashed.hash, stored.hash);
+}
+
+// Missing means the default; anything else must be a whole number in range
+function normalizeCapacity(raw) {
+  if (raw === undefined || raw === null) return DEFAULT_CAPACITY;
+  const n = Number(raw);
+  if (!Number.isInteger(n) || n < DEFAULT_CAPACITY || n > MAX_ROOM_CAPACITY) return null;
+  return n;
+}
+
 // ---------------------------------------------------------------------------
 // Start
 // ---------------------------------------------------------------------------
+// Pick up rooms a previous run (or another process) left in the store, without
+// replaying events meant for sockets from back then
+const storedDoc = store.poll();
+if (storedDoc) {
+  lastEventSeq = storedDoc.seq;
+  loadDoc(storedDoc);
+}
+withRooms(sweepRooms);
+
 server.listen(PORT, () => {
-  console.log(`lan-play-bridge server listening on http://localhost:${PORT}`);
+  logEvent('server-start', {
+    port: Number(PORT),
+    maxRoomCapacity: MAX_ROOM_CAPACITY,
+    maxRooms: LIMITS.maxRooms,
+    store: store.shared ? 'file' : 'memory',
+    instance: INSTANCE_ID,
+    rooms: rooms.size,
+  });
 });
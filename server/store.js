@@ -0,0 +1,226 @@
+/**
+ * lan-play-bridge — room state stores
+ *
+ * The server keeps its working copy of rooms in Maps. A store decides where
+ * that state lives beyond the process:
+ *
+ *   createMemoryStore()     nowhere — the Maps are the state (the default)
+ *   createFileStore(file)   a JSON file, shared by every server process on
+ *                           the host that points at it, surviving restarts
+ *
+ * Both expose the same interface:
+ *
+ *   shared               true if other processes may read and write the state
+ *   transaction(fn)      runs fn(doc, fresh) with exclusive access and saves
+ *                        doc afterwards if fn changed it; fresh is true when
+ *                        doc changed since this process last saw it. Returns
+ *                        what fn returns. The memory store passes doc = null.
+ *   poll()               the doc if another process changed it since we last
+ *                        saw it, otherwise null. No locking; for reads.
+ *   watch(cb)            calls cb() when the state may have changed elsewhere
+ *
+ * The doc is plain JSON: { version, seq, rooms, instances, events }. What
+ * goes in rooms, instances and events is up to the server.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+function emptyDoc() {
+  return { version: 0, seq: 0, rooms: {}, instances: {}, events: [] };
+}
+
+function createMemoryStore() {
+  return {
+    shared: false,
+    transaction(fn) { return fn(null, false); },
+    poll() { return null; },
+    watch() {},
+  };
+}
+
+// A transaction is one synchronous read, edit and rename, which takes
+// milliseconds. A lock older than LOCK_STALE_MS, far longer than that, belongs
+// to a process that hung mid-write and is taken over; a holder whose process
+// is gone is taken over right away. Waiters give up long before a lock goes
+// stale, so a holder that's only slow (a GC pause, a slow fsync) keeps it.
+const LOCK_STALE_MS = 10 * 1000;
+const LOCK_TIMEOUT_MS = 200;
+const LOCK_RETRY_MS = 2;
+const WATCH_INTERVAL_MS = 500;
+
+// Transactions are synchronous, like the rest of the room code, so waiting
+// for the lock blocks the event loop. LOCK_TIMEOUT_MS caps that per
+// transaction: past it the transaction throws and the caller reports the
+// server as busy, rather than every socket on this process stalling.
+const sleeper = new Int32Array(new SharedArrayBuffer(4));
+function sleepSync(ms) {
+  Atomics.wait(sleeper, 0, 0, ms);
+}
+
+function createFileStore(file) {
+  const lockFile = file + '.lock';
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  // Written into the lock file, so we only ever remove a lock that's ours.
+  // Starts with the pid, for telling whether the holder is still running.
+  const nonce = process.pid + ':' + crypto.randomBytes(8).toString('hex');
+  const tmpLock = lockFile + '.' + process.pid + '.tmp';
+
+  let doc = null;
+  // doc as JSON when last loaded or saved, to tell whether fn changed it
+  let savedText = null;
+  // Identifies the file contents we last read or wrote. Writes replace the
+  // file by rename, so any change elsewhere shows up as a new inode or mtime.
+  let seen = null;
+
+  function stamp() {
+    try {
+      const st = fs.statSync(file);
+      return st.ino + ':' + st.mtimeMs + ':' + st.size;
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  // Returns true if doc was (re)loaded
+  function load() {
+    const current = stamp();
+    if (doc && current === seen) return false;
+    if (current === null) {
+      doc = emptyDoc();
+    } else {
+      doc = Object.assign(emptyDoc(), JSON.parse(fs.readFileSync(file, 'utf8')));
+    }
+    savedText = JSON.stringify(doc);
+    seen = current;
+    return true;
+  }
+
+  function save() {
+    doc.version++;
+    savedText = JSON.stringify(doc);
+    const tmp = file + '.' + process.pid + '.tmp';
+    fs.writeFileSync(tmp, savedText);
+    fs.renameSync(tmp, file);
+    seen = stamp();
+  }
+
+  function readLock() {
+    try {
+      return fs.readFileSync(lockFile, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  function holderGone(holder) {
+    const pid = parseInt(holder, 10);
+    if (!pid || pid === process.pid) return false;
+    try {
+      process.kill(pid, 0);
+      return false;
+    } catch (err) {
+      return err.code === 'ESRCH';
+    }
+  }
+
+  // Creating the lock is a hard link of a file that already holds our nonce,
+  // so nobody ever reads a half-written lock
+  function tryLock() {
+    try {
+      fs.linkSync(tmpLock, lockFile);
+      return true;
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+      return false;
+    }
+  }
+
+  // Swaps our lock in over a stale one by rename, so the lock file never goes
+  // missing for a third process to grab. Only done if the lock is still the
+  // one we judged stale; two processes taking over at once both read the
+  // result back, and only the one whose nonce is there goes ahead.
+  function takeOver() {
+    let holder, age;
+    try {
+      age = Date.now() - fs.statSync(lockFile).mtimeMs;
+      holder = fs.readFileSync(lockFile, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return false; // released while we looked
+      throw err;
+    }
+    if (age <= LOCK_STALE_MS && !holderGone(holder)) return false;
+
+    const swap = lockFile + '.' + process.pid + '.swap';
+    fs.writeFileSync(swap, nonce);
+    if (readLock() !== holder) {
+      fs.unlinkSync(swap);
+      return false;
+    }
+    fs.renameSync(swap, lockFile);
+    return readLock() === nonce;
+  }
+
+  function lock() {
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    fs.writeFileSync(tmpLock, nonce);
+    try {
+      for (;;) {
+        if (tryLock() || takeOver()) return;
+        if (Date.now() > deadline) throw new Error('Timed out waiting for the room store lock (' + lockFile + ')');
+        sleepSync(LOCK_RETRY_MS);
+      }
+    } finally {
+      fs.unlinkSync(tmpLock);
+    }
+  }
+
+  function unlock() {
+    // Taken over as stale if it's not ours any more; that lock isn't ours to remove
+    if (readLock() === nonce) fs.unlinkSync(lockFile);
+  }
+
+  function transaction(fn) {
+    lock();
+    try {
+      const fresh = load();
+      try {
+        const result = fn(doc, fresh);
+        // Unchanged docs aren't written, which would only wake every other
+        // process's watch for nothing
+        if (JSON.stringify(doc) !== savedText) {
+          // Taken over while fn ran; saving now could overwrite the new
+          // holder's changes
+          if (readLock() !== nonce) throw new Error('Lost the room store lock (' + lockFile + ') mid-transaction');
+          save();
+        }
+        return result;
+      } catch (err) {
+        // doc may hold changes that were never saved; read it back next time,
+        // which also hands the caller a fresh doc to rebuild from
+        doc = null;
+        throw err;
+      }
+    } finally {
+      unlock();
+    }
+  }
+
+  function poll() {
+    return load() ? doc : null;
+  }
+
+  function watch(cb) {
+    fs.watchFile(file, { interval: WATCH_INTERVAL_MS, persistent: false }, () => {
+      if (stamp() !== seen) cb();
+    });
+  }
+
+  return { shared: true, transaction, poll, watch };
+}
+
+module.exports = { createMemoryStore, createFileStore };